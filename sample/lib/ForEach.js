@@ -1,5 +1,6 @@
-import { State, StateNode, StateNodeSet, GenStateNode, GenStateNodeSet, GenStatePlaceholderNode, Context, watch, normalizeCtxChild, normalizeCtxProps } from "../../src/core.js";
+import { State, StateNode, StateNodeSet, GenStateNode, GenStateNodeSet, GenStatePlaceholderNode, Context, EffectScope, watch, isReactive, normalizeCtxChild, normalizeCtxProps } from "../../src/core.js";
 import { SwitchingPage, SuspendGroup } from "./Suspense.js";
+import { getListPatches } from "./useList.js";
 
 /**
  * @template T
@@ -16,6 +17,7 @@ import { SwitchingPage, SuspendGroup } from "./Suspense.js";
  * 		set: StateNodeSet;
  * 		switching: SwitchingPage;
  * 		callerList: { caller: CallerType; states: State<unknown>[] }[];
+ * 		scope: EffectScope;
  * 		index: number
  * }} KeyTypeOfVariableStateNodeSet ForEachについてのキーの型
  */
@@ -27,8 +29,14 @@ import { SwitchingPage, SuspendGroup } from "./Suspense.js";
 class VariableStateNodeSet extends StateNodeSet {
 	/** @type { CompPropTypes<typeof ForEach<T>> } プロパティ */
 	#props;
+	/** @type { (v: T, key?: unknown, genkey?: (typeof ForEach['propTypes']['key'])) => (GenStateNode | GenStateNodeSet)[] } ノードを生成する関数 */
+	#gen;
 	/** @type { Map<unknown, KeyTypeOfVariableStateNodeSet> } 現在のノードの集合のキーのリスト */
 	#keyList = new Map();
+	/** @type { T[] } 現在のノードの集合が示す表示対象 */
+	#current = [];
+	/** @type { WatchHandle } 表示対象の更新を捕捉するウォッチャー */
+	#watchHandle;
 	/** @type { { caller: CallerType; states: State<unknown>[] }[] } 呼び出し元のリスト(これの破棄により親との関連付けが破棄される) */
 	callerList = [];
 
@@ -42,15 +50,24 @@ class VariableStateNodeSet extends StateNodeSet {
 	constructor(ctx, sibling, props, gen) {
 		super(ctx, [], sibling);
 		this.#props = props;
+		this.#gen = gen;
+
+		// リアクティブな配列が与えられた場合は要素の参照も監視するために複製を表示対象とする(表示対象の差し替えに追従するため評価の度に判定する)
+		/** @type { State<T[]> } */
+		const target = new State(ctx.state, undefined);
+		const targetCaller = target.observe(() => {
+			const value = props.target.value;
+			return isReactive(value) ? [...value] : value;
+		});
+		if (targetCaller) {
+			this.callerList.push(targetCaller);
+		}
 
 		// 表示対象の更新時にその捕捉を行う
-		const caller = watch(ctx, props.target, (prev, next) => {
+		this.#watchHandle = watch(ctx, target, (prev, next) => {
 			// DOMノードが構築されている場合にのみ構築する(this.first.element自体はplaceholderにより(外部から操作しない限り)存在が保証される)
 			const element = this.first?.element;
 			if (element && !(prev.length === 0 && next.length === 0)) {
-				/** @type { Map<unknown, { set: StateNodeSet, switching: SwitchingPage; index: number }> } 変更後のノードの集合のキーのリスト */
-				const keyList = new Map();
-
 				if (element.parentElement) {
 					ctx.component?.onBeforeUpdate?.();
 				}
@@ -59,121 +76,78 @@ class VariableStateNodeSet extends StateNodeSet {
 					ctx.state.lock([ctx.sideEffectLabel]);
 				}
 
-				/** @type { StateNodeSet[] } 挿入をするノードの全体 */
-				const nodeSetList = [];
-				// 挿入を行うノードの全体の構築
-				for (let i = 0; i < next.length; ++i) {
-					const e = next[i];
-					const key = props.key.value ? props.key.value(e) : i;
-					if (props.key.value && this.#keyList.has(key)) {
-						// 現在表示している対象の表示の場合はノードを移動させる
-						const val = this.#keyList.get(key);
-						keyList.set(key, { set: val.set, switching: val.switching, callerList: val.callerList, index: i });
-						nodeSetList.push(val.set);
-						this.#keyList.delete(key);
-					}
-					else {
-						if (keyList.has(key)) {
-							// キーが重複している場合はエラー
-							throw new Error(`Key ${key} is duplicated.`);
-						}
-						// 現在表示していない対象を表示する場合は構築する
-						const genList = normalizeCtxChild(gen(e, key, props.key.value));
-						const { set, sibling } = (new GenStateNodeSet(genList.length === 0 ? [new GenStatePlaceholderNode()] : genList)).buildStateNodeSet(ctx);
-						const suspendGroup = new SuspendGroup();
-						const switchingPage = new SwitchingPage(suspendGroup);
-						// 各種イベントのインスタンスの単方向関連付け
-						const callerList= [
-							ctx.state.unidirectional(props.onAfterSwitching, x => switchingPage.afterSwitching = x),
-							ctx.state.unidirectional(props.onBeforeSwitching, x => switchingPage.beforeSwitching = x)
-						];
-						keyList.set(key, { set, switching: switchingPage, callerList, index: i });
-						nodeSetList.push(set);
-						for (const { node, ctx } of sibling) {
-							node.build(ctx);
-						}
-					}
-				}
-				// 表示する要素が存在しないときは代わりにplaceholderを設置
-				if (nodeSetList.length === 0) {
-					const { set, sibling } = (new GenStateNodeSet([new GenStatePlaceholderNode()])).buildStateNodeSet(ctx);
-					for (const { node, ctx } of sibling) {
-						node.build(ctx);
-					}
-					nodeSetList.push(set);
-				}
-				const deleteNodeSet = [...this.#keyList.values()];
-				this.#keyList = keyList;
-				const prevNodeSetList = this.nestedNodeSet;
-				const endNode = this.last.element.nextSibling;
-				this.nestedNodeSet = nodeSetList;
+				// 例外により反映が中断された場合もロックを解除する
+				let release = !locked;
+				try {
+					const prevNodeSetList = this.nestedNodeSet;
+					const endNode = this.last.element.nextSibling;
+					// 配列の操作を示すパッチが得られる場合は影響を受ける要素のみを更新する
+					// (インデックスをキーとする場合は位置のずれた要素のキーが変わり、placeholderの付け替えが生じる場合はその管理が必要なため全体の差分をとる)
+					const patches = props.key.value && this.#current.length > 0 && next.length > 0 ? getListPatches(this.#current, next) : undefined;
+					const setupNodeList = patches ? this.#applyPatches(ctx, patches) : this.#applyDiff(ctx, next);
+					// 後続のパッチは反映に成功した表示対象を起点とする
+					this.#current = next;
 
-				// 親が有効ならばノードの付け替えを実施する
-				if (element.parentElement) {
-					const promiseList = [];
-					if (props.move.value && this.first.element.nodeType === Node.ELEMENT_NODE && element.nodeType === Node.ELEMENT_NODE) {
-						// FLIPによるアニメーションの実施
-						/** @type { HTMLElement[] } */
-						const elementList = [];
-						for (const nodeSet of prevNodeSetList) {
-							for (const node of nodeSet.nodeSet()) {
-								elementList.push(node.element);
+					// 親が有効ならばノードの付け替えを実施する
+					if (element.parentElement) {
+						const promiseList = [];
+						if (props.move.value && this.first.element.nodeType === Node.ELEMENT_NODE && element.nodeType === Node.ELEMENT_NODE) {
+							// FLIPによるアニメーションの実施
+							/** @type { HTMLElement[] } */
+							const elementList = [];
+							for (const nodeSet of prevNodeSetList) {
+								for (const node of nodeSet.nodeSet()) {
+									elementList.push(node.element);
+								}
 							}
+							// First
+							const firstStateList = elementList.map(e => e.getBoundingClientRect());
+							promiseList.push(...setupNodeList(element, endNode));
+							// Last
+							const lastStateList = elementList.map(e => e.getBoundingClientRect());
+							// Invert&Play
+							elementList.forEach((e, idx) => {
+								const moveX = firstStateList[idx].left - lastStateList[idx].left;
+								const moveY = firstStateList[idx].top - lastStateList[idx].top;
+								if (moveX !== 0 || moveY !== 0) {
+									promiseList.push(e.animate([
+										{ transform: `translate(${moveX}px, ${moveY}px)` },
+										{ transform: 'translate(0, 0)' }
+									], props.move.value).finished);
+								}
+							});
 						}
-						// First
-						const firstStateList = elementList.map(e => e.getBoundingClientRect());
-						promiseList.push(...this.#setupNodeList(element, endNode, deleteNodeSet));
-						// Last
-						const lastStateList = elementList.map(e => e.getBoundingClientRect());
-						// Invert&Play
-						elementList.forEach((e, idx) => {
-							const moveX = firstStateList[idx].left - lastStateList[idx].left;
-							const moveY = firstStateList[idx].top - lastStateList[idx].top;
-							if (moveX !== 0 || moveY !== 0) {
-								promiseList.push(e.animate([
-									{ transform: `translate(${moveX}px, ${moveY}px)` },
-									{ transform: 'translate(0, 0)' }
-								], props.move.value).finished);
+						else {
+							promiseList.push(...setupNodeList(element, endNode));
+						}
+						// ロックの解除はDOMツリー構築に関する非同期処理に委ねる
+						release = false;
+						Promise.all(promiseList).then(() => {
+							if (!locked) {
+								// DOMツリー構築に関する非同期処理解決まで処理を遅延する
+								ctx.state.unlock([ctx.sideEffectLabel])();
 							}
+							ctx.component?.onAfterUpdate?.();
 						});
 					}
-					else {
-						promiseList.push(...this.#setupNodeList(element, endNode, deleteNodeSet));
-					}
-					Promise.all(promiseList).then(() => {
-						if (!locked) {
-							// DOMツリー構築に関する非同期処理解決まで処理を遅延する
-							ctx.state.unlock([ctx.sideEffectLabel])();
-						}
-						ctx.component?.onAfterUpdate?.();
-					});
 				}
-				else if (!locked) {
-					// 遅延対象の処理は存在しないためロックを解除する
-					ctx.state.unlock([ctx.sideEffectLabel])();
+				finally {
+					if (release) {
+						ctx.state.unlock([ctx.sideEffectLabel])();
+					}
 				}
 			}
 		});
-		if (caller) {
-			this.callerList.push(caller);
-		}
 
 		// 初期状態の構築
-		for (let i = 0; i < props.target.value.length; ++i) {
-			const e = props.target.value[i];
+		this.#current = target.value;
+		for (let i = 0; i < target.value.length; ++i) {
+			const e = target.value[i];
 			const key = props.key.value ? props.key.value(e) : i;
-			const genList = normalizeCtxChild(gen(e, key, props.key.value));
-			const { set, sibling: sibling_ } = (new GenStateNodeSet(genList.length === 0 ? [new GenStatePlaceholderNode()] : genList)).buildStateNodeSet(ctx);
-			const suspendGroup = new SuspendGroup();
-			const switchingPage = new SwitchingPage(suspendGroup);
-			// 各種イベントのインスタンスの単方向関連付け
-			const callerList= [
-				ctx.state.unidirectional(props.onAfterSwitching, x => switchingPage.afterSwitching = x),
-				ctx.state.unidirectional(props.onBeforeSwitching, x => switchingPage.beforeSwitching = x)
-			];
+			const { value, sibling: sibling_ } = this.#buildItem(ctx, e, key, this.#keyList.size);
 			// ノードの設定
-			this.#keyList.set(key, { set, switching: switchingPage, callerList, index: this.#keyList.size });
-			this.nestedNodeSet.push(set);
+			this.#keyList.set(key, value);
+			this.nestedNodeSet.push(value.set);
 			sibling.push(...sibling_);
 		}
 		if (this.nestedNodeSet.length === 0) {
@@ -195,6 +169,183 @@ class VariableStateNodeSet extends StateNodeSet {
 		}, label: ctx.sideEffectLabel }]);
 	}
 
+	/**
+	 * 表示対象の要素についてのノードの構築
+	 * @param { Context } ctx 状態変数を扱っているコンテキスト
+	 * @param { T } e 表示対象の要素
+	 * @param { unknown } key 要素のキー
+	 * @param { number } index 要素の位置
+	 * @returns { { value: KeyTypeOfVariableStateNodeSet; sibling: { node: GenStateNode; ctx: Context }[] } }
+	 */
+	#buildItem(ctx, e, key, index) {
+		// 要素ごとに生成された呼び出し元は要素の削除時に破棄する
+		const scope = new EffectScope(true);
+		const genList = normalizeCtxChild(scope.run(() => this.#gen(e, key, this.#props.key.value)));
+		const { set, sibling } = (new GenStateNodeSet(genList.length === 0 ? [new GenStatePlaceholderNode()] : genList)).buildStateNodeSet(ctx);
+		const suspendGroup = new SuspendGroup();
+		const switchingPage = new SwitchingPage(suspendGroup);
+		// 各種イベントのインスタンスの単方向関連付け
+		const callerList = [
+			ctx.state.unidirectional(this.#props.onAfterSwitching, x => switchingPage.afterSwitching = x),
+			ctx.state.unidirectional(this.#props.onBeforeSwitching, x => switchingPage.beforeSwitching = x)
+		];
+		return { value: { set, switching: switchingPage, callerList, scope, index }, sibling };
+	}
+
+	/**
+	 * 変更前後の表示対象のキーの差分からノードの集合を更新する
+	 * @param { Context } ctx 状態変数を扱っているコンテキスト
+	 * @param { T[] } next 変更後の表示対象
+	 * @returns { (afterElement: HTMLElement | Text, endNode: Node | undefined) => Promise[] } DOMノードの付け替えを行う関数
+	 */
+	#applyDiff(ctx, next) {
+		const props = this.#props;
+		/** @type { Map<unknown, KeyTypeOfVariableStateNodeSet> } 変更後のノードの集合のキーのリスト */
+		const keyList = new Map();
+		/** @type { StateNodeSet[] } 挿入をするノードの全体 */
+		const nodeSetList = [];
+		// 挿入を行うノードの全体の構築
+		for (let i = 0; i < next.length; ++i) {
+			const e = next[i];
+			const key = props.key.value ? props.key.value(e) : i;
+			if (props.key.value && this.#keyList.has(key)) {
+				// 現在表示している対象の表示の場合はノードを移動させる
+				const val = this.#keyList.get(key);
+				keyList.set(key, { set: val.set, switching: val.switching, callerList: val.callerList, scope: val.scope, index: i });
+				nodeSetList.push(val.set);
+				this.#keyList.delete(key);
+			}
+			else {
+				if (keyList.has(key)) {
+					// キーが重複している場合はエラー
+					throw new Error(`Key ${key} is duplicated.`);
+				}
+				// 現在表示していない対象を表示する場合は構築する
+				const { value, sibling } = this.#buildItem(ctx, e, key, i);
+				keyList.set(key, value);
+				nodeSetList.push(value.set);
+				for (const { node, ctx } of sibling) {
+					node.build(ctx);
+				}
+			}
+		}
+		// 表示する要素が存在しないときは代わりにplaceholderを設置
+		if (nodeSetList.length === 0) {
+			const { set, sibling } = (new GenStateNodeSet([new GenStatePlaceholderNode()])).buildStateNodeSet(ctx);
+			for (const { node, ctx } of sibling) {
+				node.build(ctx);
+			}
+			nodeSetList.push(set);
+		}
+		const deleteNodeSet = [...this.#keyList.values()];
+		this.#keyList = keyList;
+		// 削除される要素で生成された呼び出し元を破棄する
+		for (const { scope } of deleteNodeSet) {
+			scope.stop();
+		}
+		this.nestedNodeSet = nodeSetList;
+		return (afterElement, endNode) => this.#setupNodeList(afterElement, endNode, deleteNodeSet);
+	}
+
+	/**
+	 * 配列の操作を示すパッチを適用して影響を受ける要素のノードのみを更新する(キーが指定されていることを前提とする)
+	 * @param { Context } ctx 状態変数を扱っているコンテキスト
+	 * @param { import("./useList.js").ListPatchType<T>[] } patches 適用するパッチ
+	 * @returns { (afterElement: HTMLElement | Text, endNode: Node | undefined) => Promise[] } DOMノードの付け替えを行う関数
+	 */
+	#applyPatches(ctx, patches) {
+		const getKey = this.#props.key.value;
+		/** @type { (KeyTypeOfVariableStateNodeSet & { key: unknown; moved: boolean })[] } 表示する要素の一覧 */
+		const itemList = [...this.#keyList].map(([key, value]) => ({ ...value, key, moved: false }));
+		/** @type { KeyTypeOfVariableStateNodeSet[] } 削除対象のノード */
+		const deleteNodeSet = [];
+
+		/**
+		 * 挿入される要素のノードの構築
+		 * @param { T } e 挿入される要素
+		 * @param { number } index 挿入される位置
+		 */
+		const build = (e, index) => {
+			const key = getKey(e);
+			const { value, sibling } = this.#buildItem(ctx, e, key, index);
+			for (const { node, ctx } of sibling) {
+				node.build(ctx);
+			}
+			return { ...value, key, moved: false };
+		};
+
+		for (const patch of patches) {
+			switch (patch.type) {
+				case 'insert':
+					itemList.splice(patch.index, 0, ...patch.items.map((e, i) => build(e, patch.index + i)));
+					break;
+				case 'remove':
+					deleteNodeSet.push(...itemList.splice(patch.index, patch.count));
+					break;
+				case 'move': {
+					const [item] = itemList.splice(patch.from, 1);
+					item.moved = true;
+					itemList.splice(patch.to, 0, item);
+					break;
+				}
+				case 'set':
+					// キーが変わらない場合は差分をとる場合と同様にノードを再利用する
+					if (!Object.is(getKey(patch.item), itemList[patch.index].key)) {
+						deleteNodeSet.push(itemList[patch.index]);
+						itemList[patch.index] = build(patch.item, patch.index);
+					}
+					break;
+			}
+		}
+
+		/** @type { Map<unknown, KeyTypeOfVariableStateNodeSet> } 変更後のノードの集合のキーのリスト */
+		const keyList = new Map();
+		itemList.forEach(({ set, switching, callerList, scope, key }, index) => {
+			if (keyList.has(key)) {
+				// キーが重複している場合はエラー
+				throw new Error(`Key ${key} is duplicated.`);
+			}
+			keyList.set(key, { set, switching, callerList, scope, index });
+		});
+		this.#keyList = keyList;
+		// 削除される要素で生成された呼び出し元を破棄する
+		for (const { scope } of deleteNodeSet) {
+			scope.stop();
+		}
+		this.nestedNodeSet = itemList.map(({ set }) => set);
+
+		return (afterElement, endNode) => {
+			const parent = afterElement.parentElement;
+			const cancellable = this.#props.cancellable.value ?? true;
+			const promiseList = [];
+			// 後方から順に挿入および移動された要素のみを配置する
+			let nextElement = endNode;
+			for (let i = itemList.length - 1; i >= 0; --i) {
+				const { set, switching, moved } = itemList[i];
+				if (!switching.node) {
+					promiseList.push(switching.insertBefore(set, nextElement, parent, cancellable));
+				}
+				else if (moved) {
+					set.insertBefore(nextElement, parent);
+				}
+				nextElement = set.first.element;
+			}
+			// ノードの削除
+			for (const { set, switching } of deleteNodeSet) {
+				if (switching.node) {
+					// ノードは削除されるためリソースを開放しておく
+					switching.node.free();
+					promiseList.push(switching.detach(cancellable));
+				}
+				else {
+					// 挿入前に削除された要素
+					set.remove();
+				}
+			}
+			return promiseList;
+		};
+	}
+
 	/**
 	 * ノードリストのセットアップを行う
 	 * @param { HTMLElement | Text } afterElement 前回のノードリストにおける一番最初のノード(parentは存在する前提とする)
@@ -246,7 +397,11 @@ class VariableStateNodeSet extends StateNodeSet {
 	 */
 	remove() {
 		super.remove();
+		this.#watchHandle.stop();
 		this.callerList.forEach(caller => caller.states.forEach(state => state.delete(caller.caller)));
+		for (const { scope } of this.#keyList.values()) {
+			scope.stop();
+		}
 	}
 }
 
@@ -299,7 +454,7 @@ function ForEach(props, children) {
  * @template T
  */
 ForEach.propTypes = {
-	/** @type { T[] } 表示対象を切り替える基準となる変数 */
+	/** @type { T[] } 表示対象を切り替える基準となる変数(useReactiveによるリアクティブな配列も可、keyを指定してuseListによる配列を与えた場合は操作された要素のみを更新する) */
 	target: [],
 	/** @type { ((val: T) => unknown) | undefined } 表示対象を切り替える基準となる変数(undefinedの場合はtargetのindexに相当) */
 	key: undefined,
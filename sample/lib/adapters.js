@@ -0,0 +1,135 @@
+import { Computed, Context, EffectScope, useState, useComputed } from "../../src/core.js";
+
+/**
+ * @template T
+ * @typedef {{
+ * 		status: 'pending' | 'fulfilled' | 'rejected';
+ * 		value: T | undefined;
+ * 		error: unknown;
+ * }} PromiseStateType Promiseの状態(valueは解決した値、errorは拒否された理由を示す)
+ */
+
+/**
+ * アダプタの破棄の登録(コンポーネント内ではアンマウント時、それ以外ではエフェクトスコープの停止時に破棄する)
+ * @param { Context } ctx アダプタが属するコンテキスト
+ * @param { () => void } disposer 破棄を行う関数
+ */
+function onDispose(ctx, disposer) {
+	if (ctx.component) {
+		ctx.onUnmount(disposer);
+	}
+	else {
+		EffectScope.current?.add(disposer);
+	}
+}
+
+/**
+ * イベントを読み取り専用の状態変数に変換する
+ * @template { Event } E
+ * @template T
+ * @param { Context } ctx 状態変数が属するコンテキスト
+ * @param { EventTarget } target イベントを発火する対象
+ * @param { string } type イベントのタイプ
+ * @param { (event: E) => T } map イベントから状態変数の値への変換
+ * @param { T | undefined } init イベントが発火するまでの初期値
+ * @returns { Computed<T | undefined> }
+ */
+function fromEvent(ctx, target, type, map = event => event, init = undefined) {
+	const state = useState(ctx, init);
+	/**
+	 * イベントリスナ
+	 * @param { E } event
+	 */
+	const listener = event => state.value = map(event);
+	target.addEventListener(type, listener);
+	onDispose(ctx, () => target.removeEventListener(type, listener));
+	return useComputed(ctx, () => state.value);
+}
+
+/**
+ * Promiseを読み取り専用の状態変数に変換する(Suspenseおよびwrite()では解決まで待機する)
+ * @template T
+ * @param { Context } ctx 状態変数が属するコンテキスト
+ * @param { Promise<T> } promise 変換するPromise
+ * @returns { Computed<PromiseStateType<T>> }
+ */
+function fromPromise(ctx, promise) {
+	/** @type { import("../../src/core.js").State<PromiseStateType<T>> } */
+	const state = useState(ctx, { status: 'pending', value: undefined, error: undefined });
+	// Promiseは中断できないため破棄後の結果は反映しない
+	let disposed = false;
+	onDispose(ctx, () => disposed = true);
+
+	const task = async () => {
+		try {
+			const value = await promise;
+			if (!disposed) {
+				state.value = { status: 'fulfilled', value, error: undefined };
+			}
+		}
+		catch (error) {
+			if (!disposed) {
+				state.value = { status: 'rejected', value: undefined, error };
+			}
+		}
+	};
+	if (ctx.waitFlag === 'wait' && ctx.genStateNode) {
+		// write()ではノードの構築を解決まで遅延させる
+		ctx.genStateNode.addGenPromise(task);
+	}
+	else {
+		ctx.capture(task);
+	}
+	return useComputed(ctx, () => state.value);
+}
+
+/**
+ * 非同期イテラブルを最後に得られた値を示す読み取り専用の状態変数に変換する(破棄時にイテレータを終了し、破棄前の例外はコンポーネントのエラーハンドリングに委ねる)
+ * @template T
+ * @param { Context } ctx 状態変数が属するコンテキスト
+ * @param { AsyncIterable<T> } iterable 変換する非同期イテラブル
+ * @param { T | undefined } init 最初の値が得られるまでの初期値
+ * @returns { Computed<T | undefined> }
+ */
+function fromAsyncIterable(ctx, iterable, init = undefined) {
+	const state = useState(ctx, init);
+	const iterator = iterable[Symbol.asyncIterator]();
+	let disposed = false;
+	onDispose(ctx, () => {
+		disposed = true;
+		// 終了処理の失敗は破棄後であるため無視する
+		Promise.resolve().then(() => iterator.return?.()).catch(() => {});
+	});
+
+	(async () => {
+		try {
+			while (!disposed) {
+				const { done, value } = await iterator.next();
+				if (done || disposed) {
+					break;
+				}
+				state.value = value;
+			}
+		}
+		catch (error) {
+			// 破棄後の例外は無視する
+			if (!disposed) {
+				throw error;
+			}
+		}
+	})().catch(error => {
+		try {
+			if (!ctx.component) {
+				throw error;
+			}
+			ctx.component.onErrorCaptured(error, ctx.component);
+		}
+		catch (e) {
+			// ハンドルされない例外は未処理のPromiseの拒否とせずに出力する
+			console.error(e);
+		}
+	});
+	return useComputed(ctx, () => state.value);
+}
+
+export { fromEvent, fromPromise, fromAsyncIterable };
@@ -0,0 +1,86 @@
+import { State, Computed, StateContext, Context, EffectScope, watch } from "../../src/core.js";
+
+/**
+ * @template T
+ * @typedef {{
+ * 		key: keyof T;
+ * 		prev: unknown;
+ * 		next: unknown;
+ * }} StoreMutationType ストアの状態変数の変更内容
+ */
+
+/**
+ * @template T
+ * @typedef { T & {
+ * 		$id: string;
+ * 		$reset: () => void;
+ * 		$subscribe: (callback: (mutation: StoreMutationType<T>, store: StoreType<T>) => unknown) => () => void;
+ * } } StoreType ストアの型
+ */
+
+/** @type { WeakMap<StateContext, Map<string, StoreType<object>>> } ルートとなるコンテキストごとのストアの集合 */
+const storeMap = new WeakMap();
+
+/**
+ * ストアの定義(ストアはルートとなるコンテキストごとに最初の参照時に1度のみ生成される)
+ * @template { Record<string, unknown> } T
+ * @param { string } id ストアを識別するID
+ * @param { (ctx: Context) => T } setup ストアの状態変数、算出プロパティおよびアクションを生成する関数
+ * @returns { (ctx: Context) => StoreType<T> } ストアを取得する関数
+ */
+function defineStore(id, setup) {
+	return ctx => {
+		// Contextはコンポーネントごとに生成されるが状態変数のコンテキストはルートで共有される
+		const stateCtx = ctx.state;
+		let stores = storeMap.get(stateCtx);
+		if (!stores) {
+			stores = new Map();
+			storeMap.set(stateCtx, stores);
+		}
+		if (stores.has(id)) {
+			return /** @type { StoreType<T> } */(stores.get(id));
+		}
+
+		// ストアはコンポーネントから独立して生存するためコンポーネントに属さないコンテキストとスコープで生成する
+		// (DOM更新のためのコントローラも共有してflushSyncでストアのウォッチャーも処理されるようにする)
+		const storeCtx = new Context(ctx.window, ctx.domUpdateController, stateCtx);
+		const result = new EffectScope(true).run(() => setup(storeCtx));
+		/** @type { [keyof T, State<unknown>, unknown][] } 状態変数とその初期値 */
+		const initList = [];
+		for (const key in result) {
+			const val = result[key];
+			if (val instanceof State) {
+				initList.push([key, val, val.org]);
+			}
+		}
+
+		/** @type { StoreType<T> } */
+		const store = {
+			...result,
+			$id: id,
+			$reset() {
+				// 状態変数を初期値に戻して変更を1度に通知する
+				stateCtx.batch(() => {
+					for (const [, state, init] of initList) {
+						state.value = init;
+					}
+				});
+			},
+			// コンポーネント内で購読した場合はコンポーネントの削除時に購読が解除される
+			$subscribe(callback) {
+				const handleList = [];
+				for (const key in result) {
+					const val = result[key];
+					if (val instanceof State || val instanceof Computed) {
+						handleList.push(watch(storeCtx, val, (prev, next) => callback({ key, prev, next }, store)));
+					}
+				}
+				return () => handleList.forEach(handle => handle.stop());
+			}
+		};
+		stores.set(id, store);
+		return store;
+	};
+}
+
+export { defineStore };
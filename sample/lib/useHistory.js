@@ -0,0 +1,138 @@
+import { IState, State, Context, EffectScope, useState, useComputed, watch } from "../../src/core.js";
+
+/**
+ * @typedef {{
+ * 		capacity?: number;
+ * 		debounce?: number;
+ * 		batch?: boolean;
+ * }} HistoryOptions 履歴のオプション(capacityは戻ることのできる最大の回数、debounceは指定したミリ秒以内の連続した変更を1つの履歴にまとめる時間、batchが有効の場合は同一のタスク内の変更を1つの履歴にまとめる)
+ */
+
+/**
+ * @template T
+ * @typedef {{
+ * 		history: IState<T[]>;
+ * 		canUndo: IState<boolean>;
+ * 		canRedo: IState<boolean>;
+ * 		undo: () => void;
+ * 		redo: () => void;
+ * 		clear: () => void;
+ * }} HistoryType 状態変数の履歴
+ */
+
+/**
+ * 状態変数の変更履歴の宣言(ctx.batchでまとめて行われた変更は1つの履歴として記録される)
+ * @template T
+ * @param { Context } ctx 状態変数が属するコンテキスト
+ * @param { State<T> } state 履歴を記録する状態変数
+ * @param { HistoryOptions } options 履歴のオプション
+ * @returns { HistoryType<T> }
+ */
+function useHistory(ctx, state, options = {}) {
+	const capacity = options.capacity ?? Infinity;
+	const debounce = options.debounce ?? 0;
+	// タイマーはコンテキストのスケジューラで管理する
+	const scheduler = ctx.scheduler;
+	/** @type { State<T[]> } 記録した値のリスト */
+	const history = useState(ctx, [state.org]);
+	/** @type { State<number> } 現在の値を示すhistoryのインデックス */
+	const pointer = useState(ctx, 0);
+	const canUndo = useComputed(ctx, () => pointer.value > 0);
+	const canRedo = useComputed(ctx, () => pointer.value < history.value.length - 1);
+	/** @type { unknown } 履歴をまとめる期間のタイマー */
+	let timer = undefined;
+	// 直前の履歴に変更をまとめるか
+	let grouping = false;
+
+	/**
+	 * 履歴をまとめる期間を終了する
+	 */
+	const endGroup = () => {
+		grouping = false;
+		if (timer !== undefined) {
+			scheduler.clearTimeout(timer);
+			timer = undefined;
+		}
+	};
+
+	/**
+	 * 変更後の値を記録する
+	 * @param { T } value 変更後の値
+	 */
+	const commit = value => {
+		const list = history.org.slice(0, pointer.org + 1);
+		if (grouping && list.length > 1) {
+			// まとめる期間中は直前の履歴を置き換える
+			list[list.length - 1] = value;
+		}
+		else {
+			list.push(value);
+			// 容量を超えた古い履歴は破棄する
+			if (list.length - 1 > capacity) {
+				list.splice(0, list.length - 1 - capacity);
+			}
+		}
+		history.value = list;
+		pointer.value = list.length - 1;
+
+		if (debounce > 0) {
+			grouping = true;
+			if (timer !== undefined) {
+				scheduler.clearTimeout(timer);
+			}
+			timer = scheduler.setTimeout(endGroup, debounce);
+		}
+		else if (options.batch && !grouping) {
+			grouping = true;
+			scheduler.queueMicrotask(() => grouping = false);
+		}
+	};
+
+	/**
+	 * 履歴の値に復元する
+	 * @param { number } index 復元するhistoryのインデックス
+	 */
+	const restore = index => {
+		endGroup();
+		pointer.value = index;
+		state.value = history.org[index];
+	};
+
+	watch(ctx, state, (prev, next) => {
+		// 復元による変更は記録しない
+		if (!Object.is(next, history.org[pointer.org])) {
+			commit(next);
+		}
+	}, { flush: 'sync' });
+
+	// コンポーネントもしくはEffectScopeの破棄時にタイマーを解除する(watchは自動で解除される)
+	if (ctx.component) {
+		ctx.onUnmount(endGroup);
+	}
+	else {
+		EffectScope.current?.add(endGroup);
+	}
+
+	return {
+		history,
+		canUndo,
+		canRedo,
+		undo: () => {
+			if (pointer.org > 0) {
+				restore(pointer.org - 1);
+			}
+		},
+		redo: () => {
+			if (pointer.org < history.org.length - 1) {
+				restore(pointer.org + 1);
+			}
+		},
+		clear: () => {
+			endGroup();
+			history.value = [state.org];
+			pointer.value = 0;
+		}
+	};
+}
+
+export { useHistory };
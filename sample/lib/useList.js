@@ -0,0 +1,205 @@
+import { State, Context, StateContext } from "../../src/core.js";
+
+/**
+ * @template T
+ * @typedef {
+ * 		{ type: 'insert'; index: number; items: T[] } |
+ * 		{ type: 'remove'; index: number; count: number } |
+ * 		{ type: 'move'; from: number; to: number } |
+ * 		{ type: 'set'; index: number; item: T }
+ * } ListPatchType 配列に対する操作を示すパッチ(indexは操作直前の配列に対する位置を示す)
+ */
+
+/** @type { WeakMap<unknown[], { next: unknown[]; patches: ListPatchType<unknown>[] }> } 配列から操作後の配列とその操作へのリンク */
+const patchLink = new WeakMap();
+
+/**
+ * 操作前の配列から操作後の配列に至るまでのパッチの取得
+ * @template T
+ * @param { T[] } prev 操作前の配列
+ * @param { T[] } next 操作後の配列
+ * @returns { ListPatchType<T>[] | undefined } 配列全体が置き換えられた場合や範囲外の位置を含む場合などパッチで表現できない場合はundefined
+ */
+function getListPatches(prev, next) {
+	/** @type { ListPatchType<T>[] } */
+	const patches = [];
+	let current = prev;
+	let length = prev.length;
+	while (current !== next) {
+		const link = patchLink.get(current);
+		if (!link) {
+			return undefined;
+		}
+		// パッチを適用する側で範囲外の要素を参照しないように配列の長さを追跡して検証する
+		for (const patch of link.patches) {
+			switch (patch.type) {
+				case 'insert':
+					if (patch.index < 0 || patch.index > length) {
+						return undefined;
+					}
+					length += patch.items.length;
+					break;
+				case 'remove':
+					if (patch.index < 0 || patch.index + patch.count > length) {
+						return undefined;
+					}
+					length -= patch.count;
+					break;
+				case 'move':
+					if (patch.from < 0 || patch.from >= length || patch.to < 0 || patch.to >= length) {
+						return undefined;
+					}
+					break;
+				case 'set':
+					if (patch.index < 0 || patch.index >= length) {
+						return undefined;
+					}
+					break;
+			}
+		}
+		patches.push(...link.patches);
+		current = link.next;
+	}
+	return length === next.length ? patches : undefined;
+}
+
+/**
+ * Array.prototype.spliceと同様に位置を配列の範囲内に丸める(負の位置は末尾からの位置とする)
+ * @param { number } index 位置
+ * @param { number } length 配列の長さ
+ * @returns { number }
+ */
+function clampIndex(index, length) {
+	return index < 0 ? Math.max(length + index, 0) : Math.min(index, length);
+}
+
+/**
+ * 位置が既存の要素を指しているかを検証する
+ * @param { number } index 位置
+ * @param { number } length 配列の長さ
+ */
+function assertIndex(index, length) {
+	if (!Number.isInteger(index) || index < 0 || index >= length) {
+		throw new Error(`Index ${index} is out of range (length: ${length}).`);
+	}
+}
+
+/**
+ * 操作をパッチとして記録する配列の状態変数(操作の度に新しい配列が設定される)
+ * @template T
+ * @extends { State<T[]> }
+ */
+class ListState extends State {
+	/**
+	 * 配列を操作して新しい配列を設定する
+	 * @param { (list: T[]) => void } f 配列の複製を操作する関数
+	 * @param { ListPatchType<T>[] } patches 操作を示すパッチ
+	 */
+	#commit(f, patches) {
+		const prev = this.org;
+		const next = [...prev];
+		f(next);
+		patchLink.set(prev, { next, patches });
+		this.value = next;
+	}
+
+	/**
+	 * 末尾への要素の追加
+	 * @param { ...T } items 追加する要素
+	 */
+	push(...items) {
+		this.insert(this.org.length, ...items);
+	}
+
+	/**
+	 * 指定位置への要素の挿入
+	 * @param { number } index 挿入する位置(範囲外の場合は先頭もしくは末尾とする)
+	 * @param { ...T } items 挿入する要素
+	 */
+	insert(index, ...items) {
+		index = clampIndex(index, this.org.length);
+		if (items.length > 0) {
+			this.#commit(list => list.splice(index, 0, ...items), [{ type: 'insert', index, items }]);
+		}
+	}
+
+	/**
+	 * 指定位置の要素の削除
+	 * @param { number } index 削除する位置(範囲外の場合は先頭もしくは末尾とする)
+	 * @param { number } count 削除する要素数
+	 */
+	remove(index, count = 1) {
+		index = clampIndex(index, this.org.length);
+		count = Math.min(count, this.org.length - index);
+		if (count > 0) {
+			this.#commit(list => list.splice(index, count), [{ type: 'remove', index, count }]);
+		}
+	}
+
+	/**
+	 * 要素の移動
+	 * @param { number } from 移動する要素の位置
+	 * @param { number } to 移動先の位置
+	 */
+	move(from, to) {
+		assertIndex(from, this.org.length);
+		assertIndex(to, this.org.length);
+		if (from !== to) {
+			this.#commit(list => list.splice(to, 0, ...list.splice(from, 1)), [{ type: 'move', from, to }]);
+		}
+	}
+
+	/**
+	 * 要素の削除と挿入
+	 * @param { number } start 操作を開始する位置(範囲外の場合は先頭もしくは末尾とする)
+	 * @param { number } deleteCount 削除する要素数
+	 * @param { ...T } items 挿入する要素
+	 * @returns { T[] } 削除された要素
+	 */
+	splice(start, deleteCount = Infinity, ...items) {
+		start = clampIndex(start, this.org.length);
+		deleteCount = Math.max(deleteCount, 0);
+		const removed = this.org.slice(start, start + deleteCount);
+		/** @type { ListPatchType<T>[] } */
+		const patches = [];
+		if (removed.length > 0) {
+			patches.push({ type: 'remove', index: start, count: removed.length });
+		}
+		if (items.length > 0) {
+			patches.push({ type: 'insert', index: start, items });
+		}
+		if (patches.length > 0) {
+			this.#commit(list => list.splice(start, removed.length, ...items), patches);
+		}
+		return removed;
+	}
+
+	/**
+	 * 指定位置の要素の置き換え
+	 * @param { number } index 置き換える位置
+	 * @param { T } item 置き換え後の要素
+	 */
+	set(index, item) {
+		assertIndex(index, this.org.length);
+		if (!Object.is(this.org[index], item)) {
+			this.#commit(list => list[index] = item, [{ type: 'set', index, item }]);
+		}
+	}
+}
+
+/**
+ * 操作をパッチとして記録する配列の状態変数の宣言(keyを指定したForEachのtargetに指定すると変更された要素のみを更新する)
+ * @template T
+ * @param { Context | StateContext } ctx 状態変数が属するコンテキスト
+ * @param { T[] } value 状態変数の初期値
+ * @returns { ListState<T> }
+ */
+function useList(ctx, value = []) {
+	if (ctx instanceof Context) {
+		// SSRで直列化した値の復元の対象とする
+		return ctx.registerState(new ListState(ctx.state, value));
+	}
+	return new ListState(ctx, value);
+}
+
+export { ListState, useList, getListPatches };
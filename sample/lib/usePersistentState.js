@@ -0,0 +1,147 @@
+import { State, Context, EffectScope, useState, watch } from "../../src/core.js";
+
+/**
+ * @template T
+ * @typedef {{
+ * 		read: (raw: string) => T;
+ * 		write: (value: T) => string;
+ * }} SerializerType ストレージに保存する文字列との変換を行うシリアライザ
+ */
+
+/**
+ * @template T
+ * @typedef {{
+ * 		storage?: 'local' | 'session' | Storage;
+ * 		serializer?: SerializerType<{ version: number; value: T }>;
+ * 		version?: number;
+ * 		migrate?: (value: unknown, version: number) => T;
+ * 		broadcast?: boolean | string;
+ * }} PersistentStateOptions 永続化する状態変数のオプション(broadcastが有効の場合はBroadcastChannelでも変更を共有する)
+ */
+
+/** 既定のシリアライザ */
+const jsonSerializer = { read: JSON.parse, write: JSON.stringify };
+
+/**
+ * ストレージに永続化する状態変数の宣言(他のタブでの変更も状態変数に反映される)
+ * @template T
+ * @param { Context } ctx 状態変数が属するコンテキスト
+ * @param { string } key ストレージのキー
+ * @param { T } init ストレージに値が存在しない場合の初期値
+ * @param { PersistentStateOptions<T> } options オプション
+ * @returns { State<T> }
+ */
+function usePersistentState(ctx, key, init, options = {}) {
+	const window = ctx.window;
+	const version = options.version ?? 0;
+	const serializer = options.serializer ?? jsonSerializer;
+	/** @type { Storage | undefined } */
+	let storage = undefined;
+	try {
+		// SSRなどでストレージが利用できない場合は永続化しない
+		storage = options.storage === 'session' ? window?.sessionStorage :
+			options.storage === undefined || options.storage === 'local' ? window?.localStorage : options.storage;
+	}
+	catch {
+		storage = undefined;
+	}
+
+	/**
+	 * ストレージに保存された文字列から値を復元する
+	 * @param { string | null } raw ストレージに保存された文字列
+	 * @returns { T }
+	 */
+	const restore = raw => {
+		if (raw === null) {
+			return init;
+		}
+		try {
+			const data = serializer.read(raw);
+			if (data.version === version) {
+				return data.value;
+			}
+			// バージョンが異なる場合は移行する
+			return options.migrate ? options.migrate(data.value, data.version) : init;
+		}
+		catch {
+			return init;
+		}
+	};
+
+	const state = useState(ctx, storage ? restore(storage.getItem(key)) : init);
+	if (!storage) {
+		return state;
+	}
+
+	/** @type { BroadcastChannel | undefined } */
+	const channel = options.broadcast && window.BroadcastChannel ?
+		new window.BroadcastChannel(typeof options.broadcast === 'string' ? options.broadcast : `persistent-state:${key}`) : undefined;
+	// 外部からの変更の反映中は書き戻さない
+	let receiving = false;
+
+	/**
+	 * 外部からの変更を状態変数に反映する
+	 * @param { string | null } raw 変更後の文字列
+	 */
+	const receive = raw => {
+		receiving = true;
+		try {
+			state.value = restore(raw);
+		}
+		finally {
+			receiving = false;
+		}
+	};
+
+	watch(ctx, state, (prev, next) => {
+		if (!receiving) {
+			const raw = serializer.write({ version, value: next });
+			try {
+				storage.setItem(key, raw);
+			}
+			catch (e) {
+				// 容量の超過などで保存できない場合も状態変数の変更は維持する
+				console.warn(`Failed to persist state "${key}".`, e);
+			}
+			channel?.postMessage(raw);
+		}
+	}, { flush: 'sync' });
+
+	/**
+	 * 他のタブでのストレージの変更の通知
+	 * @param { StorageEvent } e
+	 */
+	const onstorage = e => {
+		if (e.storageArea === storage && e.key === key) {
+			receive(e.newValue);
+		}
+		else if (e.storageArea === storage && e.key === null) {
+			// ストレージが全て削除された場合
+			receive(null);
+		}
+	};
+	/**
+	 * BroadcastChannelでの変更の通知
+	 * @param { MessageEvent<string> } e
+	 */
+	const onmessage = e => receive(e.data);
+
+	window.addEventListener('storage', onstorage);
+	channel?.addEventListener('message', onmessage);
+
+	// コンポーネントもしくはEffectScopeの破棄時に監視を解除する(watchは自動で解除される)
+	const dispose = () => {
+		window.removeEventListener('storage', onstorage);
+		channel?.close();
+	};
+	if (ctx.component) {
+		ctx.onUnmount(dispose);
+	}
+	else {
+		EffectScope.current?.add(dispose);
+	}
+
+	return state;
+}
+
+export { usePersistentState };
@@ -2,7 +2,17 @@
  * @typedef {{
  * 		label?: ICallerLabel | undefined;
  * 		caller: ()=> unknown;
- * }} CallerType 状態変数における呼び出し元についての型
+ * 		height?: number;
+ * 		info?: CallerInfoType;
+ * }} CallerType 状態変数における呼び出し元についての型(heightは依存関係の高さであり更新の伝播の順序の決定に用いる)
+ */
+
+/**
+ * @typedef {{
+ * 		kind: 'computed' | 'asyncComputed' | 'unidirectional' | 'watch' | 'dom';
+ * 		name?: string;
+ * 		target?: unknown;
+ * }} CallerInfoType 依存関係の検査に用いる呼び出し元の情報(nameは表示名、targetは呼び出し元による更新の対象を示す)
  */
 
 /**
@@ -44,6 +54,55 @@ class CommonLabel {
 	proc() {}
 }
 
+/**
+ * @typedef { 'sync' | 'microtask' | 'animationFrame' | 'idle' } LaneType DOM更新の優先度(syncは即時、microtaskはマイクロタスク(既定)、animationFrameは次の描画フレーム、idleはブラウザのアイドル時の更新を示す)
+ */
+
+/** DOM更新の優先度の一覧 */
+const laneList = ['sync', 'microtask', 'animationFrame', 'idle'];
+
+/**
+ * DOM更新の優先度の検証
+ * @param { LaneType } lane 検証する優先度
+ * @returns { LaneType }
+ */
+function validateLane(lane) {
+	if (!laneList.includes(lane)) {
+		throw new Error(`Unknown lane: ${lane}`);
+	}
+	return lane;
+}
+
+/**
+ * DOM更新の前後に評価を行うためのCallerTypeに対するラベルの型
+ * @implements { ICallerLabel }
+ */
+class DomUpdatePhaseLabel {
+	/** @type { (caller: CallerType['caller']) => void } DOM更新のためのラベルへ評価を蓄積する関数 */
+	#enqueue;
+
+	/**
+	 * コンストラクタ
+	 * @param { (caller: CallerType['caller']) => void } enqueue DOM更新のためのラベルへ評価を蓄積する関数
+	 */
+	constructor(enqueue) {
+		this.#enqueue = enqueue;
+	}
+
+	/**
+	 * 状態の更新の蓄積を行う
+	 * @param { CallerType['caller'] } caller 状態の参照先
+	 */
+	update(caller) {
+		this.#enqueue(caller);
+	}
+
+	/**
+	 * 蓄積した更新を処理する(DOM更新のためのラベルで処理する)
+	 */
+	proc() {}
+}
+
 /**
  * DOM更新のためのCallerTypeに対するラベルの型
  * @implements { ICallerLabel }
@@ -51,17 +110,34 @@ class CommonLabel {
 class DomUpdateLabel {
 	/** @type { Context } 更新対象となるコンテキスト */
 	#ctx;
+	/** @type { LaneType } DOM更新の優先度 */
+	#lane;
 	/** @type { Set<CallerType['caller']> } DOM更新のためのcallerの集合 */
 	#domUpdateTaskSet = new Set();
+	/** @type { Set<CallerType['caller']> } DOM更新の前に評価するcallerの集合 */
+	#preTaskSet = new Set();
+	/** @type { Set<CallerType['caller']> } DOM更新の後に評価するcallerの集合 */
+	#postTaskSet = new Set();
+	/** @type { DomUpdatePhaseLabel | undefined } DOM更新の前に評価を行うためのラベル */
+	#preLabel = undefined;
+	/** @type { DomUpdatePhaseLabel | undefined } DOM更新の後に評価を行うためのラベル */
+	#postLabel = undefined;
 
 	/**
 	 * コンストラクタ
 	 * @param { Context } ctx 更新対象とみることができるコンテキスト
+	 * @param { LaneType } lane DOM更新の優先度
 	 */
-	constructor(ctx) {
+	constructor(ctx, lane = 'microtask') {
 		this.#ctx = ctx;
+		this.#lane = validateLane(lane);
 	}
 
+	/**
+	 * DOM更新の優先度の取得
+	 */
+	get lane() { return this.#lane; }
+
 	/**
 	 * 状態の更新の蓄積を行う
 	 * @param { CallerType['caller'] } caller 状態の参照先
@@ -69,15 +145,56 @@ class DomUpdateLabel {
 	update(caller) {
 		// Context経由でDomUpdateControllerのメソッドを呼び出す
 		this.#domUpdateTaskSet.add(caller);
-		this.#ctx.update(this);
+		this.#ctx.update(this, this.#lane);
+	}
+
+	/**
+	 * DOM更新の前に評価を行うためのラベルの取得
+	 * @returns { DomUpdatePhaseLabel }
+	 */
+	get pre() {
+		return this.#preLabel ?? (this.#preLabel = new DomUpdatePhaseLabel(caller => {
+			this.#preTaskSet.add(caller);
+			this.#ctx.update(this, this.#lane);
+		}));
+	}
+
+	/**
+	 * DOM更新の後に評価を行うためのラベルの取得
+	 * @returns { DomUpdatePhaseLabel }
+	 */
+	get post() {
+		return this.#postLabel ?? (this.#postLabel = new DomUpdatePhaseLabel(caller => {
+			this.#postTaskSet.add(caller);
+			this.#ctx.update(this, this.#lane);
+		}));
 	}
 
 	/**
 	 * 蓄積した更新を処理する
 	 */
 	proc() {
+		// DOM更新の前に評価するcallerは副作用として評価してそこで生じたDOM更新も同一の処理に含める
+		const preTaskSet = this.#preTaskSet;
+		this.#preTaskSet = new Set();
+		const sideEffectLabel = this.#ctx.sideEffectLabel;
+		if (preTaskSet.size > 0 && this.#ctx.state.locked(sideEffectLabel)) {
+			// 構築中などで副作用が抑止されている場合はロックの解除まで遅延する
+			this.#ctx.state.update([...preTaskSet].map(caller => ({ caller, label: sideEffectLabel })));
+		}
+		else {
+			for (const task of preTaskSet) {
+				sideEffectLabel.update(task);
+			}
+		}
+
 		const taskSet = this.#domUpdateTaskSet;
+		const postTaskSet = this.#postTaskSet;
 		this.#domUpdateTaskSet = new Set();
+		this.#postTaskSet = new Set();
+		if (taskSet.size === 0 && postTaskSet.size === 0 && preTaskSet.size === 0) {
+			return;
+		}
 
 		// DOM更新の前後でupdateライフサイクルフックを発火しつつタスクを実行する
 		this.#ctx.component?.onBeforeUpdate?.();
@@ -86,37 +203,299 @@ class DomUpdateLabel {
 			task();
 		}
 		this.#ctx.component?.onAfterUpdate?.();
+		for (const task of postTaskSet) {
+			task();
+		}
 	}
 }
 
 /**
- * DomUpdateCallerLabelに関するコントローラ(queueMicrotask()呼び出しを1回に限定するためのもの)
+ * @typedef {{
+ * 		queueMicrotask: (callback: () => void) => void;
+ * 		setTimeout: (callback: () => void, delay?: number) => unknown;
+ * 		clearTimeout: (id: unknown) => void;
+ * 		requestAnimationFrame?: (callback: () => void) => unknown;
+ * 		requestIdleCallback?: (callback: () => void) => unknown;
+ * }} SchedulerType タスクのスケジュールを行う関数の集合(requestAnimationFrameとrequestIdleCallbackが存在しない場合はsetTimeoutで代替する)
+ */
+
+/**
+ * 実行環境の関数によるスケジューラの生成
+ * @param { typeof window | undefined } window requestAnimationFrameとrequestIdleCallbackを提供するウィンドウインターフェース
+ * @returns { SchedulerType }
+ */
+function createDefaultScheduler(window = undefined) {
+	return {
+		queueMicrotask: callback => queueMicrotask(callback),
+		setTimeout: (callback, delay) => setTimeout(callback, delay),
+		clearTimeout: id => clearTimeout(id),
+		requestAnimationFrame: window?.requestAnimationFrame ? callback => window.requestAnimationFrame(callback) : undefined,
+		requestIdleCallback: window?.requestIdleCallback ? callback => window.requestIdleCallback(callback) : undefined
+	};
+}
+
+/**
+ * テストのために手動でタスクを実行するスケジューラ
+ * @implements { SchedulerType }
+ */
+class ManualScheduler {
+	/** @type { (() => void)[] } マイクロタスクのキュー */
+	#microtasks = [];
+	/** @type { Map<number, { callback: () => void; time: number }> } タイマーのIDとタスク */
+	#timers = new Map();
+	/** @type { Map<number, () => void> } アニメーションフレームのIDとタスク */
+	#frames = new Map();
+	/** @type { Map<number, () => void> } アイドル時のIDとタスク */
+	#idles = new Map();
+	/** @type { number } 最後に発行したID */
+	#id = 0;
+	/** @type { number } 仮想的な現在時刻 */
+	#now = 0;
+	/** @type { number } 1度の呼び出しで実行するタスクの数の上限 */
+	#maxIterations;
+
+	/**
+	 * コンストラクタ
+	 * @param { { maxIterations?: number } } options maxIterationsは自身を再スケジュールし続けるタスクを検出するための1度の呼び出しで実行するタスクの数の上限
+	 */
+	constructor(options = {}) {
+		this.#maxIterations = options.maxIterations ?? 1000;
+	}
+
+	/**
+	 * 実行したタスクの数の検査
+	 * @param { number } count 実行したタスクの数
+	 */
+	#check(count) {
+		if (count > this.#maxIterations) {
+			throw new Error(`Maximum scheduler iterations exceeded (${this.#maxIterations}). A task may be rescheduling itself.`);
+		}
+	}
+
+	/**
+	 * マイクロタスクの追加
+	 * @param { () => void } callback 実行するタスク
+	 */
+	queueMicrotask(callback) {
+		this.#microtasks.push(callback);
+	}
+
+	/**
+	 * タイマーの追加
+	 * @param { () => void } callback 実行するタスク
+	 * @param { number } delay 実行までの仮想的な時間
+	 * @returns { number }
+	 */
+	setTimeout(callback, delay = 0) {
+		this.#timers.set(++this.#id, { callback, time: this.#now + Math.max(delay, 0) });
+		return this.#id;
+	}
+
+	/**
+	 * タイマーの削除
+	 * @param { number } id setTimeoutで発行したID
+	 */
+	clearTimeout(id) {
+		this.#timers.delete(id);
+	}
+
+	/**
+	 * アニメーションフレームのタスクの追加
+	 * @param { () => void } callback 実行するタスク
+	 * @returns { number }
+	 */
+	requestAnimationFrame(callback) {
+		this.#frames.set(++this.#id, callback);
+		return this.#id;
+	}
+
+	/**
+	 * アイドル時のタスクの追加
+	 * @param { () => void } callback 実行するタスク
+	 * @returns { number }
+	 */
+	requestIdleCallback(callback) {
+		this.#idles.set(++this.#id, callback);
+		return this.#id;
+	}
+
+	/**
+	 * 仮想的な現在時刻の取得
+	 */
+	get now() { return this.#now; }
+
+	/**
+	 * 未実行のタスクの数の取得
+	 */
+	get pending() { return this.#microtasks.length + this.#timers.size + this.#frames.size + this.#idles.size; }
+
+	/**
+	 * マイクロタスクを空になるまで実行する
+	 */
+	runMicrotasks() {
+		let count = 0;
+		while (this.#microtasks.length > 0) {
+			this.#check(++count);
+			this.#microtasks.shift()();
+		}
+	}
+
+	/**
+	 * 仮想的な時刻を進めて期限に達したタイマーを期限順に実行する
+	 * @param { number } ms 進める時間
+	 */
+	advance(ms) {
+		const end = this.#now + ms;
+		this.runMicrotasks();
+		while (true) {
+			/** @type { [number, { callback: () => void; time: number }] | undefined } 次に実行するタイマー */
+			let next = undefined;
+			for (const entry of this.#timers) {
+				if (entry[1].time <= end && (!next || entry[1].time < next[1].time)) {
+					next = entry;
+				}
+			}
+			if (!next) {
+				break;
+			}
+			this.#timers.delete(next[0]);
+			this.#now = next[1].time;
+			next[1].callback();
+			this.runMicrotasks();
+		}
+		this.#now = end;
+	}
+
+	/**
+	 * 現時点で要求されているアニメーションフレームのタスクを実行する
+	 */
+	runFrame() {
+		this.runMicrotasks();
+		const frames = [...this.#frames.values()];
+		this.#frames.clear();
+		for (const callback of frames) {
+			callback();
+			this.runMicrotasks();
+		}
+	}
+
+	/**
+	 * 現時点で要求されているアイドル時のタスクを実行する
+	 */
+	runIdle() {
+		this.runMicrotasks();
+		const idles = [...this.#idles.values()];
+		this.#idles.clear();
+		for (const callback of idles) {
+			callback();
+			this.runMicrotasks();
+		}
+	}
+
+	/**
+	 * 全てのタスクを実行する(タイマーは期限順に時刻を進めて実行する)
+	 */
+	runAll() {
+		let count = 0;
+		while (this.pending > 0) {
+			this.#check(++count);
+			this.runMicrotasks();
+			this.runFrame();
+			this.runIdle();
+			if (this.#microtasks.length === 0 && this.#frames.size === 0 && this.#idles.size === 0 && this.#timers.size > 0) {
+				const time = Math.min(...[...this.#timers.values()].map(timer => timer.time));
+				this.advance(time - this.#now);
+			}
+		}
+	}
+}
+
+/**
+ * DomUpdateCallerLabelに関するコントローラ(優先度ごとにタスクのスケジュールの呼び出しを1回に限定するためのもの)
  */
 class DomUpdateController {
-	/** @type { Set<ICallerLabel> } DOM更新のためのDomUpdateCallerLabelの集合 */
-	#callerLabelSet = new Set();
-	/** @type { boolean } DOMの更新のタスクが既にマイクロタスクキューに追加されているか */
-	#domUpdateFlag = false;
+	/** @type { Map<LaneType, Set<ICallerLabel>> } 優先度ごとのDOM更新のためのDomUpdateCallerLabelの集合(スケジュール済みの優先度のみ存在する) */
+	#callerLabelSetMap = new Map();
+	/** @type { SchedulerType } タスクのスケジュールを行うスケジューラ */
+	#scheduler;
+
+	/**
+	 * コンストラクタ
+	 * @param { SchedulerType } scheduler タスクのスケジュールを行うスケジューラ
+	 */
+	constructor(scheduler = createDefaultScheduler()) {
+		this.#scheduler = scheduler;
+	}
+
+	/**
+	 * タスクのスケジュールを行うスケジューラの取得
+	 */
+	get scheduler() { return this.#scheduler; }
+
+	/**
+	 * 優先度に応じてタスクをスケジュールする
+	 * @param { Exclude<LaneType, 'sync'> } lane DOM更新の優先度
+	 * @param { () => void } callback 実行するタスク
+	 */
+	#schedule(lane, callback) {
+		const scheduler = this.#scheduler;
+		if (lane === 'microtask') {
+			scheduler.queueMicrotask(callback);
+		}
+		// requestAnimationFrameとrequestIdleCallbackが存在しない環境ではタイマーで代替する
+		else if (lane === 'animationFrame') {
+			scheduler.requestAnimationFrame ? scheduler.requestAnimationFrame(callback) : scheduler.setTimeout(callback, 16);
+		}
+		else {
+			scheduler.requestIdleCallback ? scheduler.requestIdleCallback(callback) : scheduler.setTimeout(callback, 1);
+		}
+	}
+
+	/**
+	 * 指定した優先度の蓄積した更新を処理する
+	 * @param { LaneType } lane DOM更新の優先度
+	 */
+	#proc(lane) {
+		// flushによって処理済みの場合は何もしない
+		const callerLabelSet = this.#callerLabelSetMap.get(lane);
+		if (callerLabelSet) {
+			this.#callerLabelSetMap.delete(lane);
+			for (const callerLabel of callerLabelSet) {
+				callerLabel.proc();
+			}
+		}
+	}
 
 	/**
 	 * 状態の更新の蓄積を行う
 	 * @param { ICallerLabel } callerLabel 更新情報
+	 * @param { LaneType } lane DOM更新の優先度
 	 */
-	update(callerLabel) {
-		this.#callerLabelSet.add(callerLabel);
-
-		// マイクロタスクに追加する
-		if (!this.#domUpdateFlag) {
-			this.#domUpdateFlag = true;
-			queueMicrotask(() => {
-				// タスクの実行と初期化
-				const callerLabelSet = this.#callerLabelSet;
-				this.#callerLabelSet = new Set();
-				this.#domUpdateFlag = false;
-				for (const callerLabel of callerLabelSet) {
-					callerLabel.proc();
-				}
-			});
+	update(callerLabel, lane = 'microtask') {
+		// 即時の場合は蓄積せずに処理する
+		if (lane === 'sync') {
+			callerLabel.proc();
+			return;
+		}
+
+		const callerLabelSet = this.#callerLabelSetMap.get(lane);
+		if (callerLabelSet) {
+			callerLabelSet.add(callerLabel);
+			return;
+		}
+		this.#callerLabelSetMap.set(lane, new Set([callerLabel]));
+		this.#schedule(lane, () => this.#proc(lane));
+	}
+
+	/**
+	 * 蓄積した全ての更新を優先度の高い順に同期的に処理する
+	 */
+	flush() {
+		// 処理中に発生した更新も処理する
+		while (this.#callerLabelSetMap.size > 0) {
+			for (const lane of laneList) {
+				this.#proc(lane);
+			}
 		}
 	}
 }
@@ -152,6 +531,37 @@ class SideEffectLabel {
 	proc() {}
 }
 
+/**
+ * DOM更新の優先度を指定したプロパティの値
+ * @template T
+ */
+class LaneValue {
+	/** @type { T } プロパティの値 */
+	#value;
+	/** @type { LaneType } DOM更新の優先度 */
+	#lane;
+
+	/**
+	 * コンストラクタ
+	 * @param { T } value プロパティの値
+	 * @param { LaneType } lane DOM更新の優先度
+	 */
+	constructor(value, lane) {
+		this.#value = value;
+		this.#lane = validateLane(lane);
+	}
+
+	/**
+	 * プロパティの値の取得
+	 */
+	get value() { return this.#value; }
+
+	/**
+	 * DOM更新の優先度の取得
+	 */
+	get lane() { return this.#lane; }
+}
+
 /**
  * Stateのインターフェース
  * @template T
@@ -232,6 +642,182 @@ class NotState extends IState {
 	}
 }
 
+/**
+ * @template T
+ * @typedef { 'shallow' | 'deep' | ((prev: T, next: T) => boolean) } EqualsType 値の同値性の判定方法(未指定の場合はObject.isで判定する)
+ */
+
+/**
+ * @template T
+ * @typedef {{
+ * 		equals?: EqualsType<T>;
+ * }} StateOptions 状態変数のオプション(equalsで同値と判定された値の設定では更新を伝播しない)
+ */
+
+/**
+ * 浅い比較による同値性の判定(1階層目のプロパティをObject.isで比較する)
+ * @param { unknown } prev 比較する値
+ * @param { unknown } next 比較する値
+ * @returns { boolean }
+ */
+function shallowEqual(prev, next) {
+	if (Object.is(prev, next)) {
+		return true;
+	}
+	if (typeof prev !== 'object' || typeof next !== 'object' || prev === null || next === null || Object.getPrototypeOf(prev) !== Object.getPrototypeOf(next)) {
+		return false;
+	}
+	if (Array.isArray(prev)) {
+		return prev.length === next.length && prev.every((val, i) => Object.is(val, next[i]));
+	}
+	const keys = Object.keys(prev);
+	return keys.length === Object.keys(next).length && keys.every(key => Object.hasOwn(next, key) && Object.is(prev[key], next[key]));
+}
+
+/**
+ * 深い比較による同値性の判定(配列、連想配列、Date、MapおよびSetを再帰的に比較する)
+ * @param { unknown } prev 比較する値
+ * @param { unknown } next 比較する値
+ * @param { WeakMap<object, object> } visited 循環参照の検出のための比較済みのオブジェクトの対応
+ * @returns { boolean }
+ */
+function deepEqual(prev, next, visited = new WeakMap()) {
+	if (Object.is(prev, next)) {
+		return true;
+	}
+	if (typeof prev !== 'object' || typeof next !== 'object' || prev === null || next === null || Object.getPrototypeOf(prev) !== Object.getPrototypeOf(next)) {
+		return false;
+	}
+	// 比較中のオブジェクトの組が再度出現した場合は同値と仮定する
+	if (visited.get(prev) === next) {
+		return true;
+	}
+	visited.set(prev, next);
+	if (prev instanceof Date) {
+		return Object.is(prev.getTime(), next.getTime());
+	}
+	if (prev instanceof Map) {
+		return prev.size === next.size && [...prev].every(([key, val]) => next.has(key) && deepEqual(val, next.get(key), visited));
+	}
+	if (prev instanceof Set) {
+		return prev.size === next.size && [...prev].every(val => next.has(val));
+	}
+	if (Array.isArray(prev)) {
+		return prev.length === next.length && prev.every((val, i) => deepEqual(val, next[i], visited));
+	}
+	const keys = Object.keys(prev);
+	return keys.length === Object.keys(next).length && keys.every(key => Object.hasOwn(next, key) && deepEqual(prev[key], next[key], visited));
+}
+
+/**
+ * 同値性の判定方法から判定を行う関数を得る
+ * @template T
+ * @param { EqualsType<T> | undefined } equals 値の同値性の判定方法
+ * @returns { (prev: T, next: T) => boolean }
+ */
+function resolveEquals(equals) {
+	if (equals === undefined) {
+		return Object.is;
+	}
+	if (equals === 'shallow') {
+		return shallowEqual;
+	}
+	if (equals === 'deep') {
+		return (prev, next) => deepEqual(prev, next);
+	}
+	if (equals instanceof Function) {
+		return equals;
+	}
+	throw new Error(`Unknown equals option: ${equals}`);
+}
+
+/**
+ * @template T
+ * @typedef { (prev: T, next: T) => unknown } SubscribeListenerType 状態変数の変更を購読するリスナ
+ */
+
+/**
+ * @template T
+ * @typedef {{
+ * 		next?: (value: T) => unknown;
+ * 		error?: (error: unknown) => unknown;
+ * 		complete?: () => unknown;
+ * }} ObserverType Observableの購読者
+ */
+
+/**
+ * @template T
+ * @typedef {{
+ * 		subscribe: (observer: ObserverType<T> | ((value: T) => unknown)) => { unsubscribe: () => void };
+ * }} ObservableType Observableとの相互運用のためのオブジェクト
+ */
+
+/** Observableとの相互運用のためのシンボル(Symbol.observableが存在しない環境では慣例の文字列を用いる) */
+const observableSymbol = Symbol.observable ?? '@@observable';
+
+/**
+ * 状態変数の値を現在の値から変更の度に列挙する非同期イテレータの生成
+ * @template T
+ * @param { T } value 現在の値
+ * @param { (listener: SubscribeListenerType<T>) => () => void } subscribe 変更を購読する関数
+ * @returns { AsyncIterableIterator<T> }
+ */
+function createStateIterator(value, subscribe) {
+	/** @type { T[] } 列挙されていない値のキュー */
+	const queue = [value];
+	/** @type { ((result: IteratorResult<T>) => void)[] } 値を待機しているnext()の解決 */
+	const waitingList = [];
+	let done = false;
+	const unsubscribe = subscribe((prev, next) => {
+		if (waitingList.length > 0) {
+			waitingList.shift()({ value: next, done: false });
+		}
+		else {
+			queue.push(next);
+		}
+	});
+
+	return {
+		next() {
+			if (done) {
+				return Promise.resolve({ value: undefined, done: true });
+			}
+			if (queue.length > 0) {
+				return Promise.resolve({ value: queue.shift(), done: false });
+			}
+			return new Promise(resolve => waitingList.push(resolve));
+		},
+		// for await...ofの中断時に購読を解除する
+		return() {
+			done = true;
+			unsubscribe();
+			queue.length = 0;
+			waitingList.splice(0).forEach(resolve => resolve({ value: undefined, done: true }));
+			return Promise.resolve({ value: undefined, done: true });
+		},
+		[Symbol.asyncIterator]() { return this; }
+	};
+}
+
+/**
+ * 状態変数をObservableとして扱うためのオブジェクトの生成(購読の開始時に現在の値が通知される)
+ * @template T
+ * @param { () => T } getValue 現在の値を取得する関数
+ * @param { (listener: SubscribeListenerType<T>) => () => void } subscribe 変更を購読する関数
+ * @returns { ObservableType<T> }
+ */
+function createObservable(getValue, subscribe) {
+	return {
+		subscribe(observer) {
+			const next = observer instanceof Function ? observer : (value => observer?.next?.(value));
+			const unsubscribe = subscribe((prev, value) => next(value));
+			next(getValue());
+			return { unsubscribe };
+		},
+		[observableSymbol]() { return this; }
+	};
+}
+
 /**
  * 状態変数
  * @template T
@@ -248,33 +834,71 @@ class State extends IState {
 	#onreference = undefined;
 	/** @type { number } thisを観測している状態変数の数 */
 	#observeCnt = 0;
+	/** @type { number } 依存関係の高さ(呼び出し元はこれよりも高い位置で評価される) */
+	#height = 0;
+	/** @type { (prev: T, next: T) => boolean } 値の同値性の判定を行う関数 */
+	#equals;
 
 	/**
 	 * コンストラクタ
 	 * @param { StateContext } ctx 状態変数を扱っているコンテキスト
 	 * @param { T } value 状態変数の初期値
+	 * @param { StateOptions<T> } options 状態変数のオプション
 	 */
-	constructor(ctx, value) {
+	constructor(ctx, value, options = {}) {
 		super();
 		this.#ctx = ctx;
 		this.#value = value;
+		this.#equals = resolveEquals(options.equals);
 	}
 
 	get value() {
 		this.#ctx.onreference(this);
 		// 呼び出し元が有効なら追加する
 		const current = this.#ctx.current;
-		if (current && !this.#callerList.has(current.caller)) {
+		if (current) {
+			// 依存関係の再収集のために既に呼び出し元が登録されていても実行中の関数の参照として記録する
 			this.#ctx.notify(this);
 			this.#callerList.add(current.caller);
+			this.#raiseCaller(current.caller);
 		}
 		return this.#value;
 	}
 
 	set value(value) {
-		if (value !== this.#value) {
+		if (!this.#equals(this.#value, value)) {
 			this.#value = value;
-			this.#ctx.update(this.#callerList);
+			// 更新の伝播中に変更された場合は伝播元の呼び出し元よりも高い位置に引き上げる
+			this.raise(this.#ctx.height);
+			this.#ctx.update(this.#callerList, this);
+		}
+	}
+
+	/**
+	 * 依存関係の高さの取得
+	 */
+	get height() { return this.#height; }
+
+	/**
+	 * 依存関係の高さを引き上げる
+	 * @param { number } height 引き上げる高さ
+	 */
+	raise(height) {
+		if (height > this.#height) {
+			this.#height = height;
+			for (const caller of this.#callerList) {
+				this.#raiseCaller(caller);
+			}
+		}
+	}
+
+	/**
+	 * 呼び出し元の依存関係の高さをthisよりも高い位置に引き上げる
+	 * @param { CallerType } caller 呼び出し元
+	 */
+	#raiseCaller(caller) {
+		if ((caller.height ?? 0) <= this.#height) {
+			caller.height = this.#height + 1;
 		}
 	}
 
@@ -311,6 +935,7 @@ class State extends IState {
 	add(caller) {
 		this.#ctx.onreference(this);
 		this.#callerList.add(caller);
+		this.#raiseCaller(caller);
 	}
 
 	/**
@@ -320,6 +945,59 @@ class State extends IState {
 	 */
 	delete(caller) { return this.#callerList.delete(caller); }
 
+	/**
+	 * 呼び出し元の数の取得
+	 */
+	get callerCount() { return this.#callerList.size; }
+
+	/**
+	 * 呼び出し元のリストの取得(依存関係の検査用)
+	 * @returns { CallerType[] }
+	 */
+	get callers() { return [...this.#callerList]; }
+
+	/**
+	 * コンポーネントの外部からの変更の購読
+	 * @param { SubscribeListenerType<T> } listener 変更前と変更後の値を受け取るリスナ
+	 * @param { CallerType['label'] } label 評価のタイミングを決めるラベル
+	 * @returns { () => void } 購読を解除する関数
+	 */
+	subscribe(listener, label = undefined) {
+		let prev = this.#value;
+		/** @type { CallerType } */
+		const caller = {
+			caller: () => {
+				// ラベルにより評価が遅延された間に元の値へ戻された場合は通知しない
+				const next = this.#value;
+				if (!this.#equals(prev, next)) {
+					const value = prev;
+					prev = next;
+					listener(value, next);
+				}
+			},
+			label,
+			info: { kind: 'watch', name: 'subscribe' }
+		};
+		this.add(caller);
+		return () => { this.delete(caller); };
+	}
+
+	/**
+	 * 現在の値から変更の度に値を列挙する非同期イテレータの取得
+	 * @returns { AsyncIterableIterator<T> }
+	 */
+	[Symbol.asyncIterator]() {
+		return createStateIterator(this.#value, listener => this.subscribe(listener));
+	}
+
+	/**
+	 * Observableとして扱うためのオブジェクトの取得
+	 * @returns { ObservableType<T> }
+	 */
+	[observableSymbol]() {
+		return createObservable(() => this.#value, listener => this.subscribe(listener));
+	}
+
 	/**
 	 * 状態変数が利用されているかの判定を行う
 	 */
@@ -352,8 +1030,21 @@ class State extends IState {
 	/**
 	 * 状態変数の参照が存在しだしたタイミングに1度のみ呼びだされるイベントハンドラの取得
 	 */
-	get onreference() {
-		return this.#onreference;
+	get onreference() {
+		return this.#onreference;
+	}
+
+	/**
+	 * 状態変数のonreferenceを呼び出して参照済みとする
+	 * @param { State<unknown> } state 対象の状態変数
+	 */
+	static #reference(state) {
+		if (state.#onreference instanceof Function) {
+			state.#onreference(state);
+		}
+		else {
+			state.#onreference = true;
+		}
 	}
 
 	/**
@@ -382,10 +1073,19 @@ class State extends IState {
 			return { state, caller: state.observe(this, label) };
 		}
 		if (prop instanceof State || prop instanceof Computed || prop instanceof Function) {
-			// onreferenceが発火しないように無効化して単方向関連付け
-			const caller = this.ctx.noreference(() => this.ctx.unidirectional(prop, this, label));
-			// 状態変数の参照状況の更新
-			caller.states.forEach(state => ++state.#observeCnt);
+			// 関数の再評価においてもthisが参照されるまではonreferenceが発火しないように無効化する
+			const src = prop instanceof Function ? () => this.#onreference === true ? prop() : this.ctx.noreference(prop) : prop;
+			// onreferenceが発火しないように無効化して単方向関連付け(依存先の再収集の度に状態変数の参照状況を更新する)
+			const caller = this.ctx.noreference(() => this.ctx.unidirectional(src, this, label, (added, removed) => {
+				removed.forEach(state => --state.#observeCnt);
+				added.forEach(state => {
+					++state.#observeCnt;
+					// thisが既に参照されている場合は新たな依存先にも参照を連鎖させる
+					if (this.#onreference === true) {
+						State.#reference(state);
+					}
+				});
+			}));
 
 			/**
 			 * 関連付けられた状態変数のonreferenceを連鎖的に呼び出す#onreferenceの形式の関数
@@ -393,14 +1093,7 @@ class State extends IState {
 			 */
 			const c = s => {
 				s.#onreference = true;
-				caller.states.forEach(state => {
-					if (state.#onreference instanceof Function) {
-						state.#onreference(state);
-					}
-					else {
-						state.#onreference = true;
-					}
-				});
+				caller.states.forEach(State.#reference);
 			};
 
 			if (this.utilized) {
@@ -422,6 +1115,59 @@ class State extends IState {
 	}
 }
 
+/**
+ * 読み取り専用の状態変数(コンポーネントのプロパティとして渡され、単方向データの伝播でのみ更新される)
+ * @template T
+ * @extends { State<T> }
+ */
+class ReadonlyState extends State {
+	/** @type { string } 書き込まれた際のエラーメッセージ */
+	#message;
+
+	/**
+	 * コンストラクタ
+	 * @param { StateContext } ctx 状態変数を扱っているコンテキスト
+	 * @param { string } message 書き込まれた際のエラーメッセージ
+	 */
+	constructor(ctx, message) {
+		super(ctx, undefined);
+		this.#message = message;
+	}
+
+	get value() { return super.value; }
+
+	set value(value) {
+		// 検証が無効の場合は書き込みを無視する
+		if (propValidationFlag) {
+			throw new Error(this.#message);
+		}
+	}
+
+	/**
+	 * 読み取り専用であることを無視して値を設定する
+	 * @param { T } value 設定する値
+	 */
+	#write(value) {
+		super.value = value;
+	}
+
+	/**
+	 * 単方向データの伝播で値を書き込むためのオブジェクトの取得
+	 * @returns { { value: T } }
+	 */
+	get writer() {
+		const self = this;
+		return { set value(value) { self.#write(value); } };
+	}
+}
+
+/**
+ * @template T
+ * @typedef { StateOptions<T> & {
+ * 		lazy?: boolean;
+ * }} ComputedOptions 算出プロパティのオプション(lazyが有効の場合は参照されるまで計算を遅延し、equalsで再計算前と同値と判定された場合は更新を伝播しない)
+ */
+
 /**
  * 算出プロパティ
  * @template T
@@ -430,20 +1176,93 @@ class State extends IState {
 class Computed extends IState {
 	/** @type { State<T> } 状態変数 */
 	#state;
+	/** @type { (() => T) | undefined } 遅延評価を行う場合の算出プロパティを計算する関数 */
+	#f = undefined;
+	/** @type { CallerType } 依存先の状態変数に対する呼び出し元 */
+	#caller;
+	/** @type { boolean } 再計算が必要であるかを示すフラグ */
+	#dirty = false;
+	/** @type { State<unknown>[] } 遅延評価を行う場合の依存先の状態変数 */
+	#states = [];
 
 	/**
 	 * コンストラクタ
 	 * @param { StateContext } ctx 状態変数を扱っているコンテキスト
-	 * @param { CallerType['label'] } label 更新の振る舞いを決めるラベル
 	 * @param { () => T } f 算出プロパティを計算する関数
+	 * @param { CallerType['label'] } label 更新の振る舞いを決めるラベル
+	 * @param { ComputedOptions<T> } options 算出プロパティのオプション
 	 */
-	constructor(ctx, f, label = undefined) {
+	constructor(ctx, f, label = undefined, options = {}) {
 		super();
-		this.#state = new State(ctx, undefined);
-		this.#state.observe(f, label);
+		// 算出結果の同値性の判定は実体の状態変数で行う
+		this.#state = new State(ctx, undefined, { equals: options.equals });
+		if (options.lazy) {
+			// 依存先の変更時は再計算の必要性のみを記録して参照されるまで評価を遅延する
+			this.#f = f;
+			this.#dirty = true;
+			this.#caller = { caller: () => this.#invalidate(), label, info: { kind: 'computed', target: this.#state } };
+			EffectScope.current?.add(() => {
+				this.#states.forEach(s => s.delete(this.#caller));
+				this.#states = [];
+			});
+		}
+		else {
+			this.#caller = this.#state.observe(f, label).caller;
+			this.#caller.info = { kind: 'computed', target: this.#state };
+		}
+	}
+
+	get value() {
+		// 評価中の呼び出し元で依存先が変更されている場合は先に伝播させて最新の値とする
+		this.ctx.settle(this.#caller);
+		this.#evaluate();
+		return this.#state.value;
+	}
+
+	/**
+	 * 再計算が必要な場合に算出プロパティを計算する
+	 */
+	#evaluate() {
+		if (this.#dirty) {
+			this.#dirty = false;
+			let result = undefined;
+			try {
+				// 依存先の状態変数の収集と値の計算は呼び出し元を切り替えて実施する
+				result = this.ctx.track(this.#caller, this.#f);
+			}
+			catch (e) {
+				this.#dirty = true;
+				throw e;
+			}
+			// 参照されなくなった状態変数の監視を解除する
+			const stateSet = new Set(result.states);
+			for (const state of this.#states) {
+				if (!stateSet.has(state)) {
+					state.delete(this.#caller);
+				}
+			}
+			this.#states = result.states;
+			// 算出プロパティの実体は依存先の状態変数よりも高い位置で評価されるようにする
+			this.#state.raise(this.#caller.height ?? 0);
+			this.#state.value = result.value;
+		}
+	}
+
+	/**
+	 * 依存先の状態変数の変更の通知を受ける
+	 */
+	#invalidate() {
+		this.#dirty = true;
+		// 呼び出し元が存在する場合は値を必要としているため即時に再計算して変更を伝播する
+		if (this.#state.callerCount > 0) {
+			this.#evaluate();
+		}
 	}
 
-	get value() { return this.#state.value; }
+	/**
+	 * 遅延評価を行う算出プロパティであるか
+	 */
+	get lazy() { return this.#f !== undefined; }
 
 	/**
 	 * 単方向データの作成
@@ -486,12 +1305,249 @@ class Computed extends IState {
 	 */
 	delete(caller) { return this.#state.delete(caller); }
 
+	/**
+	 * コンポーネントの外部からの変更の購読
+	 * @param { SubscribeListenerType<T> } listener 変更前と変更後の値を受け取るリスナ
+	 * @param { CallerType['label'] } label 評価のタイミングを決めるラベル
+	 * @returns { () => void } 購読を解除する関数
+	 */
+	subscribe(listener, label = undefined) {
+		// 遅延評価の場合は依存先を収集してから購読する
+		this.#evaluate();
+		return this.#state.subscribe(listener, label);
+	}
+
+	/**
+	 * 現在の値から変更の度に値を列挙する非同期イテレータの取得
+	 * @returns { AsyncIterableIterator<T> }
+	 */
+	[Symbol.asyncIterator]() {
+		this.#evaluate();
+		return this.#state[Symbol.asyncIterator]();
+	}
+
+	/**
+	 * Observableとして扱うためのオブジェクトの取得
+	 * @returns { ObservableType<T> }
+	 */
+	[observableSymbol]() {
+		return createObservable(() => {
+			this.#evaluate();
+			return this.#state.org;
+		}, listener => this.subscribe(listener));
+	}
+
 	/**
 	 * 内部で保持している状態変数の取得(開発者以外の利用は非推奨)
 	 */
 	get state() { return this.#state; }
 }
 
+/**
+ * 深いリアクティブなオブジェクトを実現するProxyのハンドラ
+ * @template { object } T
+ */
+class ReactiveHandler {
+	/** @type { WeakMap<object, ReactiveHandler<object>> } Proxyからハンドラへの対応 */
+	static #handlerMap = new WeakMap();
+	/** @type { WeakMap<StateContext, WeakMap<object, object>> } コンテキストごとの元のオブジェクトからProxyへの対応 */
+	static #proxyMap = new WeakMap();
+	/** @type { StateContext } 状態変数の扱っているコンテキスト */
+	#ctx;
+	/** @type { T } Proxyの対象となる元のオブジェクト */
+	#target;
+	/** @type { Map<PropertyKey, State<unknown>> } プロパティ単位で呼び出し元を管理する状態変数 */
+	#stateMap = new Map();
+	/** @type { State<number> } プロパティの追加/削除を検知するための状態変数 */
+	#keys;
+
+	/**
+	 * コンストラクタ
+	 * @param { StateContext } ctx 状態変数を扱っているコンテキスト
+	 * @param { T } target Proxyの対象となる元のオブジェクト
+	 */
+	constructor(ctx, target) {
+		this.#ctx = ctx;
+		this.#target = target;
+		this.#keys = new State(ctx, 0);
+	}
+
+	/**
+	 * リアクティブなオブジェクトに変換可能かの判定(内部スロットをもつオブジェクトは対象外)
+	 * @param { unknown } value 判定対象
+	 * @returns { value is object }
+	 */
+	static #convertible(value) {
+		if (typeof value !== 'object' || value === null) {
+			return false;
+		}
+		const proto = Object.getPrototypeOf(value);
+		return Array.isArray(value) || proto === Object.prototype || proto === null;
+	}
+
+	/**
+	 * リアクティブなオブジェクトの取得
+	 * @template { object } U
+	 * @param { StateContext } ctx 状態変数を扱っているコンテキスト
+	 * @param { U } value 変換対象のオブジェクト
+	 * @returns { U }
+	 */
+	static reactive(ctx, value) {
+		if (ReactiveHandler.#handlerMap.has(value)) {
+			return value;
+		}
+		// 異なるコンテキストの状態変数を共有しないようにコンテキストごとにProxyを生成する
+		let proxyMap = ReactiveHandler.#proxyMap.get(ctx);
+		if (!proxyMap) {
+			proxyMap = new WeakMap();
+			ReactiveHandler.#proxyMap.set(ctx, proxyMap);
+		}
+		let proxy = proxyMap.get(value);
+		if (!proxy) {
+			const handler = new ReactiveHandler(ctx, value);
+			proxy = new Proxy(value, handler);
+			proxyMap.set(value, proxy);
+			ReactiveHandler.#handlerMap.set(proxy, handler);
+		}
+		return proxy;
+	}
+
+	/**
+	 * リアクティブなオブジェクトに対するハンドラの取得
+	 * @param { unknown } value 取得対象
+	 * @returns { ReactiveHandler<object> | undefined }
+	 */
+	static find(value) {
+		return typeof value === 'object' && value !== null ? ReactiveHandler.#handlerMap.get(value) : undefined;
+	}
+
+	/**
+	 * 状態変数が属するコンテキストの取得
+	 */
+	get ctx() { return this.#ctx; }
+
+	/**
+	 * Proxyの対象となる元のオブジェクトの取得
+	 */
+	get raw() { return this.#target; }
+
+	/**
+	 * プロパティを管理する状態変数の取得
+	 * @param { PropertyKey } key プロパティのキー
+	 */
+	#state(key) {
+		let state = this.#stateMap.get(key);
+		if (!state) {
+			state = new State(this.#ctx, this.#target[key]);
+			this.#stateMap.set(key, state);
+		}
+		return state;
+	}
+
+	/**
+	 * プロパティの変更の通知
+	 * @param { PropertyKey } key プロパティのキー
+	 * @param { unknown } value 変更後の値
+	 */
+	#notify(key, value) {
+		const state = this.#stateMap.get(key);
+		if (state) {
+			state.value = value;
+		}
+	}
+
+	/**
+	 * 配列の長さの変更の通知
+	 * @param { number } prevLength 変更前の配列の長さ
+	 */
+	#notifyLength(prevLength) {
+		const length = this.#target.length;
+		if (length !== prevLength) {
+			this.#notify('length', length);
+			// 切り詰められた要素の変更を通知する
+			for (let i = length; i < prevLength; ++i) {
+				this.#notify(`${i}`, undefined);
+			}
+			++this.#keys.value;
+		}
+	}
+
+	/**
+	 * プロパティの取得
+	 * @param { T } target 元のオブジェクト
+	 * @param { PropertyKey } key プロパティのキー
+	 * @param { unknown } receiver Proxy
+	 */
+	get(target, key, receiver) {
+		const value = Reflect.get(target, key, receiver);
+		if (Object.hasOwn(target, key) || !(key in target)) {
+			// 自身のプロパティについてのみ呼び出し元を記録する
+			this.#state(key).value;
+		}
+		return ReactiveHandler.#convertible(value) ? ReactiveHandler.reactive(this.#ctx, value) : value;
+	}
+
+	/**
+	 * プロパティの設定
+	 * @param { T } target 元のオブジェクト
+	 * @param { PropertyKey } key プロパティのキー
+	 * @param { unknown } value 設定する値
+	 */
+	set(target, key, value) {
+		const raw = ReactiveHandler.find(value)?.raw ?? value;
+		const hadKey = Object.hasOwn(target, key);
+		const prevLength = Array.isArray(target) ? target.length : 0;
+		const result = Reflect.set(target, key, raw);
+		// 複数のプロパティの変更を1度の更新として扱う
+		this.#ctx.batch(() => {
+			this.#notify(key, raw);
+			if (Array.isArray(target)) {
+				this.#notifyLength(prevLength);
+			}
+			else if (!hadKey) {
+				++this.#keys.value;
+			}
+		});
+		return result;
+	}
+
+	/**
+	 * プロパティの削除
+	 * @param { T } target 元のオブジェクト
+	 * @param { PropertyKey } key プロパティのキー
+	 */
+	deleteProperty(target, key) {
+		const hadKey = Object.hasOwn(target, key);
+		const result = Reflect.deleteProperty(target, key);
+		if (hadKey) {
+			this.#ctx.batch(() => {
+				this.#notify(key, undefined);
+				++this.#keys.value;
+			});
+		}
+		return result;
+	}
+
+	/**
+	 * プロパティの存在判定
+	 * @param { T } target 元のオブジェクト
+	 * @param { PropertyKey } key プロパティのキー
+	 */
+	has(target, key) {
+		this.#keys.value;
+		return Reflect.has(target, key);
+	}
+
+	/**
+	 * プロパティのキーの列挙
+	 * @param { T } target 元のオブジェクト
+	 */
+	ownKeys(target) {
+		this.#keys.value;
+		return Reflect.ownKeys(target);
+	}
+}
+
 /**
  * @template T
  * @typedef { T extends IState<infer U> ? U : T } ElementTypeOfState 状態変数の要素型を得る
@@ -527,6 +1583,14 @@ class Computed extends IState {
  * @typedef { T extends HTMLElement ? {
  * 		clientHeight: HTMLElement['clientHeight'];
  * 		clientWidth: HTMLElement['clientWidth'];
+ * 		contentRect: DOMRectReadOnly | undefined;
+ * 		isIntersecting: boolean;
+ * 		intersectionRatio: number;
+ * 		scrollTop: HTMLElement['scrollTop'];
+ * 		scrollLeft: HTMLElement['scrollLeft'];
+ * 		focused: boolean;
+ * 		hovered: boolean;
+ * 		[attr: `attr:${string}`]: string | null;
  * } : {} } ObservableHTMLElementState 観測可能なHTMLElement固有の要素の状態
  */
 
@@ -1023,10 +2087,19 @@ class GenStateNode {
 	 * DOMノードにマウントする
 	 * @param { HTMLElement } target マウント対象のDOMノード
 	 * @param { Context | undefined } ctx ノードを生成する場所
+	 * @param { { snapshot?: boolean } } options snapshotが有効の場合はwriteで書きだした状態変数の値を復元する
 	 */
-	mount(target, ctx = undefined) {
+	mount(target, ctx = undefined, options = {}) {
 		ctx = ctx ?? new Context(window);
 		ctx.waitFlag = 'nowait';
+		if (options.snapshot) {
+			// ノードの比較の前にスナップショットを取り出して除去する
+			const snapshotElement = target.querySelector(`:scope > script.${stateSnapshotClassName}[type="application/json"]`);
+			if (snapshotElement) {
+				ctx.restoreStates(JSON.parse(snapshotElement.textContent));
+				snapshotElement.remove();
+			}
+		}
 		const generator = this.#mountImpl(ctx, target, ctx.waitFlag);
 		let arg = undefined;
 		while (true) {
@@ -1044,10 +2117,15 @@ class GenStateNode {
 	 * 後からマウント可能なDOMノードを構築する
 	 * @param { HTMLElement | undefined } target 書き込み対象のDOMノード
 	 * @param { Context | undefined } ctx ノードを生成する場所
+	 * @param { { snapshot?: boolean } } options snapshotが有効の場合は構築したコンポーネントの状態変数の値をtargetに書きだす
 	 */
-	async write(target, ctx = undefined) {
+	async write(target, ctx = undefined, options = {}) {
 		ctx = ctx ?? new Context(window);
 		ctx.waitFlag = 'wait';
+		if (options.snapshot) {
+			// 構築するコンポーネントの状態変数を書きだせるように登録する
+			ctx.trackStates();
+		}
 		const generator = this.#mountImpl(ctx, target, ctx.waitFlag);
 		let arg = undefined;
 		while (true) {
@@ -1056,6 +2134,14 @@ class GenStateNode {
 			if (done) {
 				// 変更の伝播を破棄する
 				ctx.state.unlock(value.labelSet);
+				if (options.snapshot && target) {
+					const snapshotElement = ctx.window.document.createElement('script');
+					snapshotElement.className = stateSnapshotClassName;
+					snapshotElement.type = 'application/json';
+					// script要素の終了と誤認されないようにエスケープする
+					snapshotElement.textContent = JSON.stringify(ctx.serializeStates()).replace(/</g, '\\u003c');
+					target.appendChild(snapshotElement);
+				}
 				return ctx;
 			}
 			arg = value instanceof Promise ? await value : value;
@@ -1337,7 +2423,7 @@ class GenStateTextNode extends GenStateNode {
 		const callerList = [];
 
 		// 子にテキストの状態が渡された場合は変更を監視する
-		const caller = setParam(text, val => element.data = val, ctx.domUpdateLabel);
+		const caller = setParam(text, val => element.data = val, ctx.domUpdateLabel, { kind: 'dom', name: '#text', target: element });
 		if (caller && caller.states.length > 0) callerList.push(caller);
 
 		return { node: new StateTextNode(element, callerList), children: [], element };
@@ -1519,6 +2605,8 @@ class GenStateHTMLElement extends GenStateNode {
 class StateDomNode extends StateNode {
 	/** @type { CreatedElementType<K> } DOMノード */
 	#element = undefined;
+	/** @type { (() => void)[] } ノードの削除時に呼び出す関数のリスト */
+	#disposerList = [];
 
 	/**
 	 * コンストラクタ
@@ -1536,13 +2624,23 @@ class StateDomNode extends StateNode {
 	 */
 	get element() { return this.#element; }
 
+	/**
+	 * ノードの削除時に呼び出す関数の追加
+	 * @param { () => void } disposer ノードの削除時に呼び出す関数
+	 */
+	addDisposer(disposer) {
+		this.#disposerList.push(disposer);
+	}
+
 	/**
 	 * ノードの削除
 	 */
 	remove() {
 		this.callerList.forEach(caller => caller.states.forEach(s => s.delete(caller.caller)));
+		this.#disposerList.forEach(disposer => disposer());
 		this.#element.remove();
 		this.callerList = [];
+		this.#disposerList = [];
 		this.#element = undefined;
 	}
 
@@ -1572,14 +2670,145 @@ function setReference(props, targets, callback) {
 };
 
 /**
- * オブザーバによる状態の伝播に関する参照情報の設定
+ * @typedef {{
+ * 		targets: string[] | ((name: string) => boolean);
+ * 		match?: (element: HTMLElement, ctx: Context) => boolean;
+ * 		read?: (element: HTMLElement, name: string) => unknown;
+ * 		observe: (element: HTMLElement, notify: (values?: Record<string, unknown>) => void, ctx: Context, targets: string[]) => (() => void) | void;
+ * }} ObserverStrategyType 要素の状態の観測の方法(targetsは観測可能なプロパティ名、matchは適用可能な要素の判定、readは値の取得(既定はelement[name])、observeは変化の監視を開始して監視を解除する関数を返す)
+ */
+
+/**
+ * イベントリスナによる変化の監視を行う関数の生成
+ * @param { string[] } types 監視するイベントのタイプ
+ * @returns { ObserverStrategyType['observe'] }
+ */
+function observeEvent(...types) {
+	return (element, notify) => {
+		const listener = () => notify();
+		types.forEach(type => element.addEventListener(type, listener, { passive: true }));
+		return () => types.forEach(type => element.removeEventListener(type, listener));
+	};
+}
+
+/** @type { ObserverStrategyType[] } 観測の方法のリスト(先頭のものから優先して適用する) */
+const observerStrategyList = [
+	// HTMLInputElement
+	{
+		targets: ['value', 'valueAsDate', 'valueAsNumber'],
+		match: (element, ctx) => element instanceof ctx.window.HTMLInputElement,
+		observe: observeEvent('input')
+	},
+	{
+		targets: ['checked'],
+		match: (element, ctx) => element instanceof ctx.window.HTMLInputElement,
+		observe: observeEvent('change')
+	},
+	// HTMLSelectElement
+	{
+		targets: ['value', 'selectedOptions'],
+		match: (element, ctx) => element instanceof ctx.window.HTMLSelectElement,
+		observe: observeEvent('change')
+	},
+	// HTMLTextAreaElement
+	{
+		targets: ['value'],
+		match: (element, ctx) => element instanceof ctx.window.HTMLTextAreaElement,
+		observe: observeEvent('input')
+	},
+	// 要素のサイズ(contentRectはResizeObserverの初回の通知まではundefinedとなる)
+	{
+		targets: ['clientWidth', 'clientHeight', 'contentRect'],
+		read: (element, name) => name === 'contentRect' ? undefined : element[name],
+		observe: (element, notify, ctx) => {
+			if (ctx.window.ResizeObserver) {
+				const observer = new ctx.window.ResizeObserver(entries => notify({ contentRect: entries[entries.length - 1].contentRect }));
+				observer.observe(element);
+				return () => observer.disconnect();
+			}
+		}
+	},
+	// 要素の可視性
+	{
+		targets: ['isIntersecting', 'intersectionRatio'],
+		read: (element, name) => name === 'isIntersecting' ? false : 0,
+		observe: (element, notify, ctx) => {
+			if (ctx.window.IntersectionObserver) {
+				const observer = new ctx.window.IntersectionObserver(entries => {
+					const entry = entries[entries.length - 1];
+					notify({ isIntersecting: entry.isIntersecting, intersectionRatio: entry.intersectionRatio });
+				});
+				observer.observe(element);
+				return () => observer.disconnect();
+			}
+		}
+	},
+	// スクロールの位置
+	{
+		targets: ['scrollTop', 'scrollLeft'],
+		observe: observeEvent('scroll')
+	},
+	// フォーカスとホバーの状態
+	{
+		targets: ['focused'],
+		read: element => element.ownerDocument.activeElement === element,
+		observe: observeEvent('focus', 'blur')
+	},
+	{
+		targets: ['hovered'],
+		read: element => element.matches(':hover'),
+		observe: (element, notify) => {
+			const enter = () => notify({ hovered: true });
+			const leave = () => notify({ hovered: false });
+			element.addEventListener('mouseenter', enter);
+			element.addEventListener('mouseleave', leave);
+			return () => {
+				element.removeEventListener('mouseenter', enter);
+				element.removeEventListener('mouseleave', leave);
+			};
+		}
+	},
+	// 属性(attr:属性名で指定する)
+	{
+		targets: name => name.startsWith('attr:'),
+		read: (element, name) => element.getAttribute(name.slice('attr:'.length)),
+		observe: (element, notify, ctx, targets) => {
+			if (ctx.window.MutationObserver) {
+				const observer = new ctx.window.MutationObserver(() => notify());
+				observer.observe(element, { attributes: true, attributeFilter: targets.map(name => name.slice('attr:'.length)) });
+				return () => observer.disconnect();
+			}
+		}
+	}
+];
+
+/**
+ * 要素の状態の観測の方法の登録(既に登録されている方法よりも優先して適用される)
+ * @param { ObserverStrategyType } strategy 観測の方法
+ * @returns { () => void } 登録を解除する関数
+ */
+function registerObserver(strategy) {
+	observerStrategyList.unshift(strategy);
+	return () => {
+		const index = observerStrategyList.indexOf(strategy);
+		if (index >= 0) {
+			observerStrategyList.splice(index, 1);
+		}
+	};
+}
+
+/**
+ * 観測の方法による状態の伝播に関する参照情報の設定
  * @template { string } K
- * @param { HTMLElement } element 観測する対象をもつ要素
- * @param { (setter: (element: HTMLElement) => void) => void } observer イベントリスナのタイプ
+ * @param { Context } ctx ノードを生成する場所
+ * @param { StateDomNode } node 観測する対象をもつノード
+ * @param { ObserverStrategyType } strategy 観測の方法
  * @param { ObservableStates<K> } props 観測する対象
  * @param { string[] } targets 監視対象のパラメータ
  */
-function setReferenceToObserver(element, observer, props, targets) {
+function setReferenceToObserver(ctx, node, strategy, props, targets) {
+	const element = node.element;
+	const read = strategy.read ?? ((element, name) => element[name]);
 	let callbackEventListenerFlag = true;
 	/**
 	 * イベントの構築
@@ -1587,43 +2816,254 @@ function setReferenceToObserver(element, observer, props, targets) {
 	 * @returns { (state: State<unknown>) => void }
 	 */
 	const callbackEventListener = key => state => {
-		// 初回呼び出し時にのみイベントを設置する
+		// 初回呼び出し時にのみ監視を開始する
 		if (callbackEventListenerFlag) {
 			callbackEventListenerFlag = !callbackEventListenerFlag;
-			observer(element => {
+			const disposer = strategy.observe(element, values => {
 				// 各種状態の設定
 				for (const name of targets) {
 					/** @type { State<unknown> | undefined } */
 					const state = props[name];
-					const value = element[name];
+					const value = values && Object.hasOwn(values, name) ? values[name] : read(element, name);
 					if (state && state.org !== value) {
 						state.value = value;
 					}
 				}
-			});
+			}, ctx, targets);
+			if (disposer) {
+				node.addDisposer(disposer);
+			}
+		}
+		// 初期値の伝播
+		state.value = read(element, key);
+	};
+
+	// 状態の監視の設定
+	setReference(props, targets, callbackEventListener);
+};
+
+/** 双方向の関連付けを行うプロパティの接頭辞 */
+const bindPrefix = 'bind:';
+
+/**
+ * @typedef {{
+ * 		event: string;
+ * 		read: () => unknown;
+ * 		write: (value: unknown) => void;
+ * }} BindingType 双方向の関連付けの方法(eventは要素の変更を通知するイベント、readは要素からの値の取得、writeは要素への値の設定を示す)
+ */
+
+/**
+ * 双方向の関連付けの方法の取得
+ * @param { Context } ctx ノードを生成する場所
+ * @param { HTMLElement } element 関連付けを行う要素
+ * @param { string } name 関連付けを行うプロパティ名
+ * @param { State<unknown> } state 関連付けを行う状態変数
+ * @returns { BindingType }
+ */
+function getBinding(ctx, element, name, state) {
+	const window = ctx.window;
+	if (name === 'value' && element instanceof window.HTMLSelectElement) {
+		return element.multiple ? {
+			// 複数選択の場合は選択されている値の配列と関連付ける
+			event: 'change',
+			read: () => [...element.selectedOptions].map(option => option.value),
+			write: value => {
+				for (const option of element.options) {
+					option.selected = Array.isArray(value) && value.includes(option.value);
+				}
+			}
+		} : {
+			event: 'change',
+			read: () => element.value,
+			write: value => element.value = value ?? ''
+		};
+	}
+	if (name === 'value' && (element instanceof window.HTMLInputElement || element instanceof window.HTMLTextAreaElement)) {
+		// 数値の入力の場合は数値に変換する
+		const read = element.type === 'number' || element.type === 'range' ?
+			() => element.value === '' ? null : Number(element.value) :
+			() => element.value;
+		return {
+			event: 'input',
+			read,
+			// 入力中の値と同値であれば書き戻さない(キャレットの位置や入力途中の表記を維持する)
+			write: value => {
+				if (read() !== value) {
+					element.value = value ?? '';
+				}
+			}
+		};
+	}
+	if (name === 'checked' && element instanceof window.HTMLInputElement) {
+		return {
+			event: 'change',
+			read: () => element.checked,
+			write: value => element.checked = !!value
+		};
+	}
+	if (name === 'group' && element instanceof window.HTMLInputElement && element.type === 'radio') {
+		// ラジオボタンのグループは選択されている要素の値と関連付ける
+		return {
+			event: 'change',
+			read: () => element.value,
+			write: value => element.checked = value === element.value
+		};
+	}
+	if (name === 'group' && element instanceof window.HTMLInputElement && element.type === 'checkbox') {
+		// チェックボックスのグループはチェックされている要素の値の配列と関連付ける
+		return {
+			event: 'change',
+			read: () => {
+				const list = Array.isArray(state.org) ? state.org.filter(value => value !== element.value) : [];
+				return element.checked ? [...list, element.value] : list;
+			},
+			write: value => element.checked = Array.isArray(value) && value.includes(element.value)
+		};
+	}
+	if (name === 'textContent' || name === 'innerHTML') {
+		// contenteditableな要素の内容と関連付ける
+		return {
+			event: 'input',
+			read: () => element[name],
+			write: value => {
+				if (element[name] !== (value ?? '')) {
+					element[name] = value ?? '';
+				}
+			}
+		};
+	}
+	throw new Error(`'${bindPrefix}${name}' is not supported for <${element.tagName.toLowerCase()}>.`);
+}
+
+/**
+ * 状態変数と要素のプロパティの双方向の関連付け
+ * @param { Context } ctx ノードを生成する場所
+ * @param { StateDomNode } node 関連付けを行うノード(ノードの削除時に書き戻しを解除する)
+ * @param { string } name 関連付けを行うプロパティ名
+ * @param { State<unknown> } state 関連付けを行う状態変数
+ * @param { CallerType['label'] } label 要素の更新に用いるラベル
+ * @returns { { caller: CallerType; states: State<unknown>[] } } 呼び出し元情報
+ */
+function setBinding(ctx, node, name, state, label) {
+	const element = node.element;
+	if (!(state instanceof State)) {
+		throw new Error(`'${bindPrefix}${name}' requires a State.`);
+	}
+	const binding = getBinding(ctx, element, name, state);
+	const caller = setParam(state, binding.write, label, { kind: 'dom', name: `${element.tagName.toLowerCase()}.${bindPrefix}${name}`, target: element });
+	if (element instanceof ctx.window.HTMLSelectElement) {
+		// option要素は子要素として後から構築されるため構築後に再度設定する
+		label?.update(caller.caller.caller);
+	}
+
+	// 要素の変更を書き戻す(要素への書き込みではイベントは発火しないため循環しない)
+	/**
+	 * @param { Event } e
+	 */
+	const listener = e => {
+		// IMEによる変換中は確定するまで書き戻さない
+		if (!e.isComposing) {
+			state.value = binding.read();
+		}
+	};
+	element.addEventListener(binding.event, listener);
+	node.addDisposer(() => element.removeEventListener(binding.event, listener));
+	if (binding.event === 'input') {
+		const compositionListener = () => state.value = binding.read();
+		element.addEventListener('compositionend', compositionListener);
+		node.addDisposer(() => element.removeEventListener('compositionend', compositionListener));
+	}
+	return caller;
+}
+
+/** イベントリスナを登録するプロパティの接頭辞 */
+const onPrefix = 'on:';
+
+/** キーによりイベントを絞り込む修飾子とKeyboardEvent.keyの対応 */
+const keyModifierMap = {
+	enter: ['Enter'],
+	esc: ['Escape'],
+	tab: ['Tab'],
+	space: [' '],
+	up: ['ArrowUp'],
+	down: ['ArrowDown'],
+	left: ['ArrowLeft'],
+	right: ['ArrowRight'],
+	delete: ['Delete', 'Backspace']
+};
+
+/** 修飾キーの押下によりイベントを絞り込む修飾子とイベントのプロパティの対応 */
+const systemModifierMap = {
+	ctrl: 'ctrlKey',
+	shift: 'shiftKey',
+	alt: 'altKey',
+	meta: 'metaKey'
+};
+
+/**
+ * 要素へのイベントリスナの登録(nameは'click|prevent|once'のようにイベントのタイプに続けて'|'区切りで修飾子を指定する)
+ * @param { Context } ctx ノードを生成する場所
+ * @param { StateDomNode } node イベントリスナを登録するノード(ノードの削除時に登録を解除する)
+ * @param { string } name 接頭辞を除いたプロパティ名
+ * @param { ((event: Event) => unknown) | IState<((event: Event) => unknown) | undefined> } handler イベントハンドラ(状態変数の場合はイベントの発火時点の値を呼び出す)
+ */
+function setEventListener(ctx, node, name, handler) {
+	const element = node.element;
+	const [type, ...modifiers] = name.split('|');
+	/** @type { AddEventListenerOptions } */
+	const options = {};
+	/** @type { string[] } イベントを受け付けるキー */
+	const keys = [];
+	/** @type { ((event: Event) => boolean)[] } イベントを受け付けるかの判定 */
+	const filters = [];
+	/** @type { ((event: Event) => void)[] } イベントハンドラの前に行う処理 */
+	const actions = [];
+	for (const modifier of modifiers) {
+		if (modifier === 'capture' || modifier === 'once' || modifier === 'passive') {
+			options[modifier] = true;
+		}
+		else if (modifier === 'prevent') {
+			actions.push(event => event.preventDefault());
+		}
+		else if (modifier === 'stop') {
+			actions.push(event => event.stopPropagation());
+		}
+		else if (modifier === 'self') {
+			filters.push(event => event.target === event.currentTarget);
+		}
+		else if (Object.hasOwn(keyModifierMap, modifier)) {
+			// キーの修飾子はいずれかに一致すれば受け付ける
+			keys.push(...keyModifierMap[modifier]);
+		}
+		else if (Object.hasOwn(systemModifierMap, modifier)) {
+			filters.push(event => !!event[systemModifierMap[modifier]]);
+		}
+		else {
+			throw new Error(`Unknown event modifier '${modifier}' in '${onPrefix}${name}'.`);
+		}
+	}
+	if (keys.length > 0) {
+		filters.push(event => keys.includes(event.key));
+	}
+
+	// 関数を設定する場合はエラーハンドリングを行うようにする
+	const f = createWrapperFunction(handler instanceof IState ? event => handler.value?.(event) : handler, ctx.component);
+	// コンポーネントへ副作用が生じる可能性のある処理が伝播されることを通知する
+	ctx.notifyFunctionDelivery();
+	/**
+	 * 修飾子を適用したイベントリスナ
+	 * @param { Event } event
+	 */
+	const listener = event => {
+		if (filters.every(filter => filter(event))) {
+			actions.forEach(action => action(event));
+			return f(event);
 		}
-		// 初期値の伝播
-		state.value = element[key];
 	};
-
-	// 状態の監視の設定
-	setReference(props, targets, callbackEventListener);
-};
-
-/**
- * イベントリスナのオブザーバによる状態の伝播に関する参照情報の設定
- * @template { string } K
- * @template { HTMLElementEventMap } L
- * @param { HTMLElement } element 観測する対象をもつ要素
- * @param { L } type イベントリスナのタイプ
- * @param { ObservableStates<K> } props 観測する対象
- * @param { string[] } targets 監視対象のパラメータ
- */
-function setReferenceToEventListenerObserver(element, type, props, targets) {
-	setReferenceToObserver(element, setter => {
-		element.addEventListener(type, e => setter(e.target));
-	}, props, targets);
-};
+	element.addEventListener(type, listener, options);
+	node.addDisposer(() => element.removeEventListener(type, listener, options));
+}
 
 /**
  * StateDomNodeを生成するためのノード
@@ -1694,10 +3134,25 @@ class GenStateDomNode extends GenStateNode {
 		// StateDomとDOM更新を対応付けるラベルの生成
 		const domUpdateLabel = ctx.domUpdateLabel;
 
+		/** @type { (() => void)[] } 双方向の関連付けを行う関数のリスト */
+		const bindList = [];
+
 		// プロパティの設定
 		for (const key in this.#props) {
-			const _val = this.#props[key];
-			if (_val !== undefined && _val !== null && _val !== false) {
+			// DOM更新の優先度が指定されている場合はそのプロパティのみ優先度を切り替える
+			const laneFlag = this.#props[key] instanceof LaneValue;
+			const _val = laneFlag ? this.#props[key].value : this.#props[key];
+			const label = laneFlag ? ctx.getDomUpdateLabel(this.#props[key].lane) : domUpdateLabel;
+			if (key.startsWith(onPrefix)) {
+				if (_val !== undefined && _val !== null) {
+					setEventListener(ctx, node, key.slice(onPrefix.length), _val);
+				}
+			}
+			else if (key.startsWith(bindPrefix)) {
+				// typeなどの関連付けの方法に影響するプロパティの設定後に関連付ける
+				bindList.push(() => node.callerList.push(setBinding(ctx, node, key.slice(bindPrefix.length), _val, label)));
+			}
+			else if (_val !== undefined && _val !== null && _val !== false) {
 				/** @type { boolean | undefined } 属性として設定を行うかのフラグ */
 				let attrFlag = undefined;
 				const caller = setParam(_val, val => {
@@ -1710,7 +3165,8 @@ class GenStateDomNode extends GenStateNode {
 								const caller = setParam(
 									val[styleKey],
 									val => element.style.setProperty(styleKey, val ?? ''),
-									domUpdateLabel
+									label,
+									{ kind: 'dom', name: `${this.#tag}.style.${styleKey}`, target: element }
 								);
 								if (caller && caller.states.length > 0) node.callerList.push(caller);
 							}
@@ -1777,11 +3233,13 @@ class GenStateDomNode extends GenStateNode {
 							}
 						}
 					}
-				}, domUpdateLabel);
+				}, label, { kind: 'dom', name: `${this.#tag}.${key}`, target: element });
 				if (caller && caller.states.length > 0) node.callerList.push(caller);
 			}
 		}
 
+		bindList.forEach(bind => bind());
+
 		// 子要素の構築
 		/** @type { { node: GenStateNode; ctx: Context }[] } */
 		const children = [];
@@ -1796,7 +3254,7 @@ class GenStateDomNode extends GenStateNode {
 
 		// 観測の評価
 		if (this.#observableStates) {
-			this.#observeImpl(ctx, this.#observableStates, element);
+			this.#observeImpl(ctx, this.#observableStates, node);
 		}
 
 		this.#genFlag = true;
@@ -1820,39 +3278,23 @@ class GenStateDomNode extends GenStateNode {
 	 * ノードの内部の状態の観測の実装部
 	 * @param { Context } ctx ノードを生成する場所
 	 * @param { ObservableStates<K> } props 観測する対象
-	 * @param { HTMLElement } element 観測する対象をもつ要素
-	 */
-	#observeImpl(ctx, props, element) {
-		//
-		// HTMLElementに関する項目の検証
-		//
-		{
-			setReferenceToObserver(element, setter => {
-				const resizeObserver = new ResizeObserver(entries => setter(element));
-				resizeObserver.observe(element);
-			}, props, ['clientHeigth', 'clientWidth']);
-		}
-
-		//
-		// HTMLInputElementに関する項目の検証
-		//
-		if (element instanceof ctx.window.HTMLInputElement) {
-			setReferenceToEventListenerObserver(element, 'input', props, ['value', 'valueAsDate', 'valueAsNumber']);
-			setReferenceToEventListenerObserver(element, 'change', props, ['checked']);
-		}
-
-		//
-		// HTMLSelectElementに関する項目の検証
-		//
-		if (element instanceof ctx.window.HTMLSelectElement) {
-			setReferenceToEventListenerObserver(element, 'change', props, ['value', 'selectedOptions']);
+	 * @param { StateDomNode } node 観測する対象をもつノード
+	 */
+	#observeImpl(ctx, props, node) {
+		/** @type { Map<ObserverStrategyType, string[]> } 観測の方法ごとの観測するプロパティ名 */
+		const strategyMap = new Map();
+		for (const name in props) {
+			// 観測の方法が存在しないプロパティは観測しない
+			const strategy = observerStrategyList.find(strategy =>
+				(strategy.targets instanceof Function ? strategy.targets(name) : strategy.targets.includes(name)) &&
+				(strategy.match?.(node.element, ctx) ?? true)
+			);
+			if (strategy) {
+				strategyMap.set(strategy, [...strategyMap.get(strategy) ?? [], name]);
+			}
 		}
-
-		//
-		// HTMLTextAreaElementに関する項目の検証
-		//
-		if (element instanceof ctx.window.HTMLTextAreaElement) {
-			setReferenceToEventListenerObserver(element, 'input', props, ['value']);
+		for (const [strategy, targets] of strategyMap) {
+			setReferenceToObserver(ctx, node, strategy, props, targets);
 		}
 	}
 }
@@ -1870,6 +3312,10 @@ class StateComponent extends StateNode {
 	genStateNode;
 	/** @protected @type { StateNode | undefined } コンポーネントを代表するノード */
 	node = undefined;
+	/** @type { EffectScope } コンポーネントを示す関数の実行中に生成された呼び出し元を記録するスコープ */
+	#scope = new EffectScope(true);
+	/** @type { string } コンポーネントを示す関数の名前 */
+	name = '';
 
 	/**
 	 * コンストラクタ
@@ -1900,6 +3346,11 @@ class StateComponent extends StateNode {
 	 */
 	get parent() { return this.#parent; }
 
+	/**
+	 * コンポーネントのエフェクトスコープの取得
+	 */
+	get scope() { return this.#scope; }
+
 	/**
 	 * コンポーネントを構築する
 	 * @param { HTMLElement | Text | undefined } target マウント対象のDOMノード
@@ -1919,7 +3370,7 @@ class StateComponent extends StateNode {
 
 		// ノードの生成
 		try {
-			this.genStateNode = this.#ctx.buildComponent(component, props, children, observableStates, this.callerList);
+			this.genStateNode = this.#scope.run(() => this.#ctx.buildComponent(component, props, children, observableStates, this.callerList));
 		}
 		catch (e) {
 			// 状態変数の関連付けを破棄してから例外をリスロー
@@ -1935,6 +3386,8 @@ class StateComponent extends StateNode {
 	 */
 	remove() {
 		this.callerList.forEach(caller => caller.states.forEach(s => s.delete(caller.caller)));
+		this.#scope.stop();
+		this.#ctx.release();
 		this.node?.remove();
 		this.callerList = [];
 		this.onUnmount();
@@ -1947,6 +3400,15 @@ class StateComponent extends StateNode {
 		this.node?.detach();
 	}
 
+	/**
+	 * ノードの関連付けの開放
+	 */
+	free() {
+		super.free();
+		this.#scope.stop();
+		this.#ctx.release();
+	}
+
 	onMount() {
 		if (this.#ctx.lifecycle.onMount) {
 			this.#ctx.state.update(this.#ctx.lifecycle.onMount);
@@ -2069,15 +3531,50 @@ class GenStateComponent extends GenStateNode {
 
 		/** 生成するコンポーネントが属するコンテキストとそのコンポーネント */
 		const node = ctx.generateContextForComponent(_ctx => this.generateStateComponent(_ctx, ctx.component, callerList)).component;
+		node.name = this.component.name;
+		// コンポーネントに優先度が指定されている場合は子孫のコンポーネントも含めて適用する
+		if (this.component.lane !== undefined) {
+			node.ctx.lane = this.component.lane;
+		}
 
 		/** @type { CompPropTypes<K> } コンポーネントに渡すプロパティ */
 		const compProps = {};
-		// プロパティは観測を行うような単方向データに変換して渡すようにする
+		// プロパティは観測を行うような読み取り専用の単方向データに変換して渡すようにする
 		const normalizeProps = normalizeCtxProps(this.component, this.props, node);
 		for (const key in normalizeProps) {
-			const { state, caller } = normalizeProps[key].observe(ctx.state);
-			if (caller && caller.states.length > 0) callerList.push(caller);
-			compProps[key] = state;
+			const prop = normalizeProps[key];
+			const schema = this.component.propTypes[key];
+			if (schema instanceof PropType && schema.writable) {
+				// 書き込み可能なプロパティは状態変数をそのまま渡して子からの書き込みを親へ反映する
+				if (prop instanceof State && !(prop instanceof ReadonlyState)) {
+					compProps[key] = prop;
+				}
+				else if (prop instanceof NotState) {
+					compProps[key] = new State(ctx.state, prop.value);
+				}
+				else {
+					// 算出プロパティや読み取り専用のプロパティなどの書き込めない値は子の状態変数に複製するため書き込みは親へ反映されない
+					if (propValidationFlag) {
+						console.warn(`[${this.component.name || 'Anonymous'}] Writable prop "${key}" received a non-writable value. Writes will not propagate to the parent.`);
+					}
+					const state = new State(ctx.state, undefined);
+					const caller = state.observe(prop);
+					if (caller && caller.states.length > 0) callerList.push(caller);
+					compProps[key] = state;
+				}
+			}
+			else if (prop instanceof NotState) {
+				compProps[key] = prop;
+			}
+			else {
+				const state = new ReadonlyState(ctx.state, `Cannot assign to read-only prop "${key}" of ${this.component.name || 'Anonymous'}.`);
+				const caller = state.observe(prop);
+				if (caller && caller.states.length > 0) callerList.push(caller);
+				compProps[key] = state;
+			}
+		}
+		if (propValidationFlag) {
+			validateProps(this.component, compProps, callerList);
 		}
 
 		// コンポーネントを構築して返す
@@ -2152,7 +3649,8 @@ class StateAsyncComponent extends StateComponent {
 			}
 
 			try {
-				this.genStateNode = await this.ctx.buildAsyncComponent(component, props, children, observableStates, this.callerList);
+				// 最初のawaitまでに生成された呼び出し元をスコープに記録する
+				this.genStateNode = await this.scope.run(() => this.ctx.buildAsyncComponent(component, props, children, observableStates, this.callerList));
 			}
 			catch (e) {
 				// 状態変数の関連付けを破棄してから例外をリスロー
@@ -2299,12 +3797,17 @@ class GenStateAsyncComponent extends GenStateComponent {
 
 /**
  * @template T
- * @typedef { T extends { propTypes: Record<string, unknown> } ? { [K in keyof T['propTypes']]: CtxValueType<T['propTypes'][K]> } : {} } CtxCompPropTypes コンテキスト上でのコンポーネントのプロパティの型
+ * @typedef { T extends PropType<infer U> ? U : T } PropTypeValue propTypesに指定された値からプロパティの型を得る
+ */
+
+/**
+ * @template T
+ * @typedef { T extends { propTypes: Record<string, unknown> } ? { [K in keyof T['propTypes']]: CtxValueType<PropTypeValue<T['propTypes'][K]>> } : {} } CtxCompPropTypes コンテキスト上でのコンポーネントのプロパティの型
  */
 
 /**
  * @template T
- * @typedef { T extends { propTypes: Record<string, unknown> } ? { [K in keyof T['propTypes']]: IState<T['propTypes'][K]> } : {} } CompPropTypes コンポーネント上でのプロパティの型
+ * @typedef { T extends { propTypes: Record<string, unknown> } ? { [K in keyof T['propTypes']]: IState<PropTypeValue<T['propTypes'][K]>> } : {} } CompPropTypes コンポーネント上でのプロパティの型
  */
 
 /**
@@ -2387,16 +3890,135 @@ class SuspenseContext {
 	}
 }
 
+/**
+ * エフェクトスコープ(スコープ内で生成された呼び出し元を記録してまとめて破棄する)
+ */
+class EffectScope {
+	/** @type { EffectScope | undefined } 実行中のスコープ */
+	static #current = undefined;
+	/** @type { (() => void)[] } 呼び出し元を破棄する関数のリスト */
+	#disposerList = [];
+	/** @type { boolean } スコープが有効であるか */
+	#active = true;
+
+	/**
+	 * コンストラクタ
+	 * @param { boolean } detached 実行中のスコープから独立させるか(独立させない場合は実行中のスコープの停止に連動して停止する)
+	 */
+	constructor(detached = false) {
+		if (!detached) {
+			EffectScope.#current?.add(() => this.stop());
+		}
+	}
+
+	/**
+	 * 実行中のスコープの取得
+	 */
+	static get current() { return EffectScope.#current; }
+
+	/**
+	 * スコープが有効であるか
+	 */
+	get active() { return this.#active; }
+
+	/**
+	 * thisを実行中のスコープとして関数を実行する
+	 * @template R
+	 * @param { () => R } callback 実行する関数
+	 * @returns { R }
+	 */
+	run(callback) {
+		const prev = EffectScope.#current;
+		EffectScope.#current = this;
+		try {
+			return callback();
+		}
+		finally {
+			EffectScope.#current = prev;
+		}
+	}
+
+	/**
+	 * 呼び出し元を破棄する関数を登録する(停止済みの場合は即時に破棄する)
+	 * @param { () => void } disposer 呼び出し元を破棄する関数
+	 */
+	add(disposer) {
+		if (this.#active) {
+			this.#disposerList.push(disposer);
+		}
+		else {
+			disposer();
+		}
+	}
+
+	/**
+	 * スコープを停止して記録した呼び出し元を全て破棄する
+	 */
+	stop() {
+		if (this.#active) {
+			this.#active = false;
+			const disposerList = this.#disposerList;
+			this.#disposerList = [];
+			for (const disposer of disposerList) {
+				disposer();
+			}
+		}
+	}
+}
+
+/**
+ * @typedef {{
+ * 		cycle?: 'warn' | 'throw';
+ * 		maxDepth?: number;
+ * }} StateContextOptions Stateのためのコンテキストのオプション(cycleを指定すると開発用に更新の伝播中の循環を検出して警告もしくは例外を送出し、maxDepthは1度の伝播で連鎖する呼び出し元の深さの上限(既定値は100でInfinityの場合は上限を設けない)を示す)
+ */
+
+/**
+ * @typedef {{
+ * 		caller: CallerType;
+ * 		state: State<unknown> | undefined;
+ * }} PropagationCauseType 更新の伝播の経路(callerの評価中にstateが変更されたことを示す)
+ */
+
 /**
  * Stateのためのコンテキスト
  */
 class StateContext {
-	/** @type { { caller: CallerType; states: State<unknown>[] }[] } 状態変数とその呼び出し元を記録するスタック */
+	/** @type { { caller: CallerType; states: State<unknown>[]; stateSet: Set<State<unknown>> }[] } 状態変数とその呼び出し元を記録するスタック(stateSetは記録済みの判定に用いる) */
 	#stack = [];
-	/** @type { Map<Exclude<CallerType['label'], undefined>, Set<CallerType['caller']> | undefined> } 遅延評価対象の呼び出し元の集合 */
+	/** @type { Map<Exclude<CallerType['label'], undefined>, Map<CallerType['caller'], CallerType> | undefined> } 遅延評価対象の呼び出し元の集合 */
 	#lockCaller = new Map();
+	/** @type { (Set<CallerType> | undefined)[] } 依存関係の高さごとの評価待ちの呼び出し元の集合 */
+	#queue = [];
+	/** @type { boolean } 評価待ちの呼び出し元を評価中であるかのフラグ */
+	#flushing = false;
+	/** @type { CallerType | undefined } 評価中の呼び出し元 */
+	#running = undefined;
 	/** @type { boolean } onreferenceを発火するかのフラグ */
 	#noreference = [false];
+	/** @type { number } batchのネストの深さ */
+	#batchCount = 0;
+	/** @type { Set<ICallerLabel> } batchによりロックをかけたラベルの集合 */
+	#batchLabelSet = new Set();
+	/** @type { CommonLabel } batch中にラベルが未定義の呼び出し元を蓄積するためのラベル */
+	#batchLabel = new CommonLabel();
+	/** @type { StateContextOptions['cycle'] } 循環を検出した場合の振る舞い(undefinedの場合は検出しない) */
+	#cycle;
+	/** @type { number } 1度の伝播で連鎖する呼び出し元の深さの上限 */
+	#maxDepth;
+	/** @type { Map<CallerType, number> } 伝播中の呼び出し元の連鎖の深さ */
+	#depth = new Map();
+	/** @type { Map<CallerType, PropagationCauseType> } 伝播中の呼び出し元が評価待ちとなった経路 */
+	#cause = new Map();
+
+	/**
+	 * コンストラクタ
+	 * @param { StateContextOptions } options オプション
+	 */
+	constructor(options = {}) {
+		this.#cycle = options.cycle;
+		this.#maxDepth = options.maxDepth ?? 100;
+	}
 
 	/**
 	 * 現在実行中の関数の情報を取得する
@@ -2409,27 +4031,216 @@ class StateContext {
 	 * @return { { caller: CallerType; states: State<unknown>[] } }
 	 */
 	call(caller) {
-		this.#stack.push({ caller, states: [] });
+		this.#stack.push({ caller, states: [], stateSet: new Set() });
 		caller.caller();
-		return this.#stack.pop();
+		const { states } = this.#stack.pop();
+		return { caller, states };
 	}
 
 	/**
-	 * 状態の更新の通知を行う
+	 * 呼び出し元を指定して関数を実行して参照された状態変数を記録する
+	 * @template R
+	 * @param { CallerType } caller 参照された状態変数の呼び出し元として記録する対象
+	 * @param { () => R } callback 実行する関数
+	 * @return { { value: R; states: State<unknown>[] } }
+	 */
+	track(caller, callback) {
+		this.#stack.push({ caller, states: [], stateSet: new Set() });
+		try {
+			const value = callback();
+			return { value, states: this.#stack[this.#stack.length - 1].states };
+		}
+		finally {
+			this.#stack.pop();
+		}
+	}
+
+	/**
+	 * 評価中の呼び出し元の依存関係の高さ
+	 */
+	get height() { return this.#running?.height ?? 0; }
+
+	/**
+	 * 状態の更新の通知を行う(呼び出し元は依存関係の高さの低い順に1度ずつ評価される)
+	 * (評価中の呼び出し元で生じた更新はその評価の完了後に伝播するが、算出プロパティの参照時はsettleにより先行して伝播する)
+	 * (評価中に例外が送出された場合も評価待ちの呼び出し元を全て評価してから最初の例外を送出する)
 	 * @param { Iterable<CallerType> } itr 状態の参照先のハンドラ
+	 * @param { State<unknown> | undefined } state 変更された状態変数(循環の検出の診断に用いる)
+	 */
+	update(itr, state = undefined) {
+		const running = this.#running;
+		const depth = running ? (this.#depth.get(running) ?? 0) + 1 : 0;
+		if (depth > this.#maxDepth) {
+			throw new Error(`Maximum propagation depth exceeded (${this.#maxDepth}). There may be a feedback loop between states.`);
+		}
+		for (const val of itr) {
+			// 評価中の呼び出し元自身による変更では再評価および循環させない
+			if (val === running) {
+				continue;
+			}
+			if (this.#cycle && running && this.#detectCycle(val, running, state)) {
+				continue;
+			}
+			const height = val.height ?? 0;
+			(this.#queue[height] ?? (this.#queue[height] = new Set())).add(val);
+			if (depth > (this.#depth.get(val) ?? -1)) {
+				this.#depth.set(val, depth);
+			}
+			if (this.#cycle) {
+				this.#cause.set(val, { caller: running, state });
+			}
+		}
+		// 評価中の場合は呼び出し元の評価の完了後に続けて評価する
+		if (!this.#flushing) {
+			this.#flush();
+		}
+	}
+
+	/**
+	 * 評価中に生じた更新のうち指定の呼び出し元の高さ以下の評価待ちの呼び出し元を先行して評価する
+	 * (評価中の呼び出し元から算出プロパティを参照する際に変更後の値を得るために用いる)
+	 * @param { CallerType } caller 最新の状態とする呼び出し元
 	 */
-	update(itr) {
-		for (const val of [...itr]) {
-			const label = val.label;
+	settle(caller) {
+		if (!this.#flushing) {
+			return;
+		}
+		let height = 0;
+		// 評価により呼び出し元が引き上げられる場合も考慮して毎回高さを参照する
+		while ((height = this.#queue.findIndex(set => set && set.size > 0)) >= 0 && height <= (caller.height ?? 0)) {
+			const set = this.#queue[height];
+			const [val] = set;
+			set.delete(val);
+			this.#dispatch(val);
+		}
+	}
+
+	/**
+	 * 評価待ちの呼び出し元を依存関係の高さの低い順に評価する
+	 */
+	#flush() {
+		this.#flushing = true;
+		/** @type { unknown[] } 評価中に送出された例外 */
+		const errors = [];
+		try {
+			let height = 0;
+			// 評価により低い位置に呼び出し元が追加される場合も考慮して常に最も低い位置から取り出す
+			while ((height = this.#queue.findIndex(set => set && set.size > 0)) >= 0) {
+				const set = this.#queue[height];
+				const [val] = set;
+				set.delete(val);
+				try {
+					this.#dispatch(val);
+				}
+				catch (e) {
+					// 例外を送出した呼び出し元とは無関係の評価待ちの呼び出し元を取りこぼさないように評価を継続する
+					errors.push(e);
+				}
+			}
+		}
+		finally {
+			this.#flushing = false;
+			this.#queue = [];
+			this.#depth.clear();
+			this.#cause.clear();
+		}
+		if (errors.length > 0) {
+			// 最初の例外を送出して以降の例外は報告のみ行う
+			errors.slice(1).forEach(e => console.error(e));
+			throw errors[0];
+		}
+	}
+
+	/**
+	 * 呼び出し元をラベルによらず即時に評価して評価中に生じた更新を伝播する
+	 * @param { CallerType } val 呼び出し元
+	 */
+	#execute(val) {
+		const flushing = this.#flushing;
+		const running = this.#running;
+		// 評価中に生じた更新は評価の完了後に伝播する(評価中のcircuitにより更新が破棄されるのを防ぐ)
+		this.#flushing = true;
+		this.#running = val;
+		try {
+			val.caller();
+		}
+		catch (e) {
+			if (!flushing) {
+				this.#queue = [];
+				this.#depth.clear();
+				this.#cause.clear();
+			}
+			throw e;
+		}
+		finally {
+			this.#flushing = flushing;
+			this.#running = running;
+		}
+		if (!flushing) {
+			this.#flush();
+		}
+	}
+
+	/**
+	 * 評価中の呼び出し元が評価待ちとなった経路に評価待ちとする呼び出し元が含まれるかにより循環を検出する
+	 * @param { CallerType } caller 評価待ちとする呼び出し元
+	 * @param { CallerType } running 評価中の呼び出し元
+	 * @param { State<unknown> | undefined } state 評価中の呼び出し元で変更された状態変数
+	 * @returns { boolean } 循環を検出したか
+	 */
+	#detectCycle(caller, running, state) {
+		/** @type { PropagationCauseType[] } 循環の経路 */
+		const chain = [];
+		/** @type { PropagationCauseType | undefined } */
+		let cause = { caller: running, state };
+		while (cause) {
+			chain.unshift(cause);
+			if (cause.caller === caller) {
+				/**
+				 * 呼び出し元の表示名の取得
+				 * @param { CallerType } caller 呼び出し元
+				 */
+				const format = caller => !caller.info ? 'anonymous' : caller.info.name ? `${caller.info.kind}(${caller.info.name})` : caller.info.kind;
+				// 循環の起点の呼び出し元に戻るまでの経路を示す
+				const path = [...chain.map(({ caller }) => format(caller)), format(caller)].join(' -> ');
+				const message = `Circular dependency detected: ${path}`;
+				if (this.#cycle === 'throw') {
+					throw new Error(message, { cause: chain });
+				}
+				console.warn(message, chain);
+				return true;
+			}
+			cause = this.#cause.get(cause.caller);
+		}
+		return false;
+	}
+
+	/**
+	 * 呼び出し元をラベルに従って評価する
+	 * @param { CallerType } val 呼び出し元
+	 */
+	#dispatch(val) {
+		// batch中はラベルが未定義の場合も蓄積の対象とする
+		const label = val.label ?? (this.#batchCount > 0 ? this.#batchLabel : undefined);
+		const running = this.#running;
+		this.#running = val;
+		try {
 			if (label) {
+				if (this.#batchCount > 0 && !this.#lockCaller.has(label)) {
+					// batch中はロックされていないラベルをロックしてbatchの終了まで評価を遅延する
+					this.lock([label]);
+					this.#batchLabelSet.add(label);
+				}
 				if (this.#lockCaller.has(label)) {
 					// lockされているときは蓄積する
-					let set = this.#lockCaller.get(label);
-					if (!set) {
-						set = new Set();
-						this.#lockCaller.set(label, set);
+					let map = this.#lockCaller.get(label);
+					if (!map) {
+						map = new Map();
+						this.#lockCaller.set(label, map);
+					}
+					if (!map.has(val.caller)) {
+						map.set(val.caller, val);
 					}
-					set.add(val.caller);
 				}
 				else {
 					label.update(val.caller);
@@ -2440,6 +4251,9 @@ class StateContext {
 				val.caller();
 			}
 		}
+		finally {
+			this.#running = running;
+		}
 	}
 
 	/**
@@ -2451,13 +4265,15 @@ class StateContext {
 		if (label) {
 			if (this.#lockCaller.has(label)) {
 				// lockされているときは蓄積する
-				let set = this.#lockCaller.get(label);
-				if (!set) {
-					set = new Set();
-					this.#lockCaller.set(label, set);
+				let map = this.#lockCaller.get(label);
+				if (!map) {
+					map = new Map();
+					this.#lockCaller.set(label, map);
 				}
 				for (const val of itr) {
-					set.add(val);
+					if (!map.has(val)) {
+						map.set(val, { caller: val, label });
+					}
 				}
 			}
 			else {
@@ -2511,36 +4327,70 @@ class StateContext {
 	 * @param { Iterable<ICallerLabel> | undefined } labelList ラベルのリスト(undefinedのときは全てのロックを解除する)
 	 */
 	unlock(labelList = undefined) {
+		/** @type { CallerType[] } 蓄積された呼び出し元 */
+		const callerList = [];
 		if (labelList) {
-			/** @type { Map<Exclude<CallerType['label'], undefined>, Set<CallerType['caller']>> } */
-			const map = new Map();
 			for (const label of labelList) {
 				if (this.#lockCaller.has(label)) {
-					const set = this.#lockCaller.get(label);
-					if (set && set.size > 0) {
-						map.set(label, set);
+					const map = this.#lockCaller.get(label);
+					if (map) {
+						callerList.push(...map.values());
 					}
 					this.#lockCaller.delete(label);
 				}
 			}
-			return map.size === 0 ? () => {} : () => map.forEach((set, label) => this.update2(set, label));
 		}
 		else {
 			// 全てのロックの解除
-			const map = this.#lockCaller;
+			for (const map of this.#lockCaller.values()) {
+				if (map) {
+					callerList.push(...map.values());
+				}
+			}
 			this.#lockCaller = new Map();
-			return map.size === 0 ? () => {} : () => map.forEach((set, label) => set && set.size > 0 && this.update2(set, label));
+		}
+		// 蓄積された呼び出し元は依存関係の高さの順序で評価する
+		return callerList.length === 0 ? () => {} : () => this.update(callerList);
+	}
+
+	/**
+	 * 状態の更新の通知をcallbackの終了まで遅延して各呼び出し元を1度のみ評価する
+	 * @template R
+	 * @param { () => R } callback 状態変数の更新をまとめて行う同期関数
+	 * @returns { R }
+	 */
+	batch(callback) {
+		if (this.#batchCount++ === 0) {
+			// ラベルが未定義の呼び出し元(算出プロパティなど)を最初に評価するために先にロックする
+			this.lock([this.#batchLabel]);
+			this.#batchLabelSet.add(this.#batchLabel);
+		}
+		try {
+			return callback();
+		}
+		finally {
+			// 最も外側のbatchの終了時にのみbatchでロックをかけたラベルについてロックを解除して評価する
+			// (batch以前からロックされていたラベルはそのロックの解除まで蓄積されたままとなる)
+			if (--this.#batchCount === 0) {
+				const labelSet = this.#batchLabelSet;
+				this.#batchLabelSet = new Set();
+				this.unlock(labelSet)();
+			}
 		}
 	}
 
 	/**
-	 * 状態変数のキャプチャの通知
+	 * 状態変数のキャプチャの通知(実行中の関数で既に記録された状態変数は無視する)
 	 * @template T
 	 * @param { State<T> } state 通知対象の状態変数
 	 */
 	notify(state) {
 		if (this.#stack.length > 0) {
-			this.#stack[this.#stack.length - 1].states.push(state);
+			const current = this.#stack[this.#stack.length - 1];
+			if (!current.stateSet.has(state)) {
+				current.stateSet.add(state);
+				current.states.push(state);
+			}
 		}
 	}
 
@@ -2562,10 +4412,14 @@ class StateContext {
 	 * @param { () => R } callback 参照なしの状態で実行する関数
 	 */
 	noreference(callback) {
+		const noreference = this.#noreference[0];
 		this.#noreference[0] = true;
-		const ret = callback();
-		this.#noreference[0] = false;
-		return ret;
+		try {
+			return callback();
+		}
+		finally {
+			this.#noreference[0] = noreference;
+		}
 	}
 
 	/**
@@ -2574,11 +4428,47 @@ class StateContext {
 	 * @param { IState<T> | () => T } src 作成元のデータ
 	 * @param { State<T> | (v: T) => unknown } dest 作成対象のデータ
 	 * @param { CallerType['label'] } label 更新の振る舞いを決めるラベル
+	 * @param { (added: State<unknown>[], removed: State<unknown>[]) => void } ontrack 依存先の状態変数が変化した際に追加および削除された状態変数を受け取るコールバック
 	 * @returns { { caller: CallerType; states: State<unknown>[] } } 呼び出し元情報
 	 */
-	unidirectional(src, dest, label = undefined) {
+	unidirectional(src, dest, label = undefined, ontrack = undefined) {
 		const ctx = src instanceof Function ? this : src.ctx ?? this;
 		let circuit = false;
+		let disposed = false;
+		/** @type { { caller: CallerType; states: State<unknown>[] } } 呼び出し元情報 */
+		const record = { caller: undefined, states: [] };
+		// 読み取り専用の状態変数には伝播でのみ書き込む
+		const target = dest instanceof ReadonlyState ? dest.writer : dest;
+		/**
+		 * 依存先の状態変数を置き換えて参照されなくなった状態変数の監視を解除する
+		 * @param { State<unknown>[] } states 新たな依存先の状態変数
+		 */
+		const retrack = states => {
+			const prevSet = new Set(record.states);
+			const nextSet = new Set(states);
+			const removed = record.states.filter(state => !nextSet.has(state));
+			const added = states.filter(state => !prevSet.has(state));
+			removed.forEach(state => state.delete(callerType));
+			record.states = states;
+			if (ontrack && (added.length > 0 || removed.length > 0)) {
+				ontrack(added, removed);
+			}
+		};
+		/**
+		 * srcを評価して依存する状態変数を再収集する
+		 * @returns { T }
+		 */
+		const evaluate = () => {
+			const { value, states } = ctx.track(callerType, src);
+			if (disposed) {
+				// 破棄済みの場合は収集した状態変数の監視を全て解除する
+				states.forEach(state => state.delete(callerType));
+			}
+			else {
+				retrack(states);
+			}
+			return value;
+		};
 		const callerType = {
 			caller:
 			// 以下の関数群は何度も実行されることが想定されるため関数内での分岐は最小限にして展開する
@@ -2589,14 +4479,14 @@ class StateContext {
 				// destの変更およびsrc = destな操作で発火および循環させない
 				if (!circuit) {
 					circuit = true;
-					dest(src());
+					dest(evaluate());
 					circuit = false;
 				}
 			} :
 			() => {
 				if (!circuit) {
 					circuit = true;
-					dest.value = src();
+					target.value = evaluate();
 					circuit = false;
 				}
 			} :
@@ -2611,30 +4501,81 @@ class StateContext {
 			() => {
 				if (!circuit) {
 					circuit = true;
-					dest.value = src.value;
+					target.value = src.value;
 					circuit = false;
 				}
 			}
 			,label
+			,info: { kind: 'unidirectional', target: dest }
 		};
 		if (src instanceof Function) {
-			// 関数の場合はsrcで参照されるあらゆる状態変数の変更を監視
-			return ctx.call(callerType);
+			// 関数の場合はsrcで参照されるあらゆる状態変数の変更を監視(評価の度に依存関係を再収集する)
+			record.caller = callerType;
+			this.#execute(callerType);
 		}
 		else {
-			callerType.caller();
+			this.#execute(callerType);
+			record.caller = callerType;
 			if (src instanceof State || src instanceof Computed) {
 				// 状態変数の場合はsrc.valueについてのみ変更を監視
 				src.add(callerType);
-				return { caller: callerType, states: [src instanceof State ? src : src.state] };
-			}
-			else {
-				return { caller: callerType, states: [] };
+				retrack([src instanceof State ? src : src.state]);
 			}
 		}
+		if (dest instanceof State) {
+			// destはsrcよりも高い位置で評価されるようにする
+			dest.raise(callerType.height ?? 0);
+		}
+		EffectScope.current?.add(() => {
+			disposed = true;
+			retrack([]);
+		});
+		return record;
+	}
+}
+
+/**
+ * @typedef {{
+ * 		counter: Map<string, number>;
+ * 		components: Map<string, StateComponent<unknown>>;
+ * 		states: Map<string, State<unknown>[]>;
+ * 		restore: Record<string, Record<string, unknown>> | undefined;
+ * 		trackStates: boolean;
+ * }} ComponentTreeType コンポーネントのツリーの情報(counterはコンポーネントの経路ごとの子コンポーネントの生成数、componentsとstatesは経路ごとのコンポーネントと状態変数、restoreはスナップショットから復元する値、trackStatesは状態変数を登録するかを示す)
+ */
+
+/** 状態変数のスナップショットを埋め込むscript要素のクラス名 */
+const stateSnapshotClassName = '__STATE_SNAPSHOT__';
+
+/**
+ * JSONとして直列化して復元可能な値であるかの判定
+ * @param { unknown } value 判定する値
+ * @returns { boolean }
+ */
+function isSerializable(value) {
+	if (value === null || typeof value === 'string' || typeof value === 'boolean') {
+		return true;
+	}
+	if (typeof value === 'number') {
+		return Number.isFinite(value);
+	}
+	if (Array.isArray(value)) {
+		return value.every(isSerializable);
+	}
+	if (typeof value === 'object' && (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null)) {
+		return Object.values(value).every(isSerializable);
 	}
+	return false;
 }
 
+/**
+ * @typedef {{
+ * 		scheduler?: SchedulerType;
+ * 		state?: StateContextOptions;
+ * 		trackStates?: boolean;
+ * }} ContextOptions コンテキストのオプション(schedulerはDOMの更新のためのコントローラを生成する場合に用いるスケジューラ、stateはStateのためのコンテキストを生成する場合のオプション、trackStatesはinspectなどのためにスナップショットを用いない場合もコンポーネントの状態変数を登録するかを示す)
+ */
+
 /**
  * コンポーネントのためのコンテキスト
  */
@@ -2654,14 +4595,21 @@ class Context {
 	/** @type { GenStateNode | undefined } 現在構築中のStateNodeに関する生成元 */
 	genStateNode = undefined;
 
-	/** @type { DomUpdateLabel | undefined } DOM更新の際に用いるラベル */
-	#domUpdateLabel = undefined;
+	/** @type { Map<LaneType, DomUpdateLabel> } DOM更新の優先度ごとのDOM更新の際に用いるラベル */
+	#domUpdateLabelMap = new Map();
+	/** @type { LaneType } コンテキストで構築するノードのDOM更新の優先度 */
+	#lane = 'microtask';
 	/** @type { SideEffectLabel<unknown> | CommonLabel | undefined } 副作用が生じる可能性がある更新の際に用いるラベル */
 	#sideEffectLabel = undefined;
 
 	/** @type { [boolean] } 子へ関数要素を伝播したかを示すフラグ */
 	#functionDeliveryFlag = [false];
 
+	/** @type { ComponentTreeType } コンポーネントのツリーの情報(ルートのコンテキストから共有される) */
+	#tree = { counter: new Map(), components: new Map(), states: new Map(), restore: undefined, trackStates: false };
+	/** @type { string } ルートからの子コンポーネントの生成順のインデックスによるコンポーネントの経路 */
+	#path = '';
+
 	/** @type { 'wait' | 'nowait' } コンポーネントの構築方式 */
 	waitFlag = 'nowait';
 
@@ -2671,12 +4619,14 @@ class Context {
 	 * @param { DomUpdateController | undefined } domUpdateController DOMの更新のためのコントローラ
 	 * @param { StateContext | undefined } stateCtx Suspenseのコンテキスト
 	 * @param { SuspenseContext | undefined } suspenseCtx Suspenseのコンテキスト
+	 * @param { ContextOptions } options オプション
 	 */
-	constructor(window, domUpdateController = undefined, stateCtx = undefined, suspenseCtx = undefined) {
+	constructor(window, domUpdateController = undefined, stateCtx = undefined, suspenseCtx = undefined, options = {}) {
 		this.#window = window;
-		this.#domUpdateController = domUpdateController ?? new DomUpdateController();
-		this.#stateCtx = stateCtx ?? new StateContext();
+		this.#domUpdateController = domUpdateController ?? new DomUpdateController(options.scheduler ?? createDefaultScheduler(window));
+		this.#stateCtx = stateCtx ?? new StateContext(options.state);
 		this.#suspenseCtx = suspenseCtx ?? new SuspenseContext();
+		this.#tree.trackStates = options.trackStates ?? false;
 	}
 
 	/**
@@ -2686,7 +4636,15 @@ class Context {
 	 */
 	generateContextForComponent(gen) {
 		const ctx = new Context(this.#window, this.#domUpdateController, this.#stateCtx, this.#suspenseCtx);
+		// 構築順序はサーバとクライアントで一致するため生成順のインデックスを経路とする
+		const index = this.#tree.counter.get(this.#path) ?? 0;
+		this.#tree.counter.set(this.#path, index + 1);
+		ctx.#tree = this.#tree;
+		ctx.#path = `${this.#path}/${index}`;
+		// DOM更新の優先度は子孫のコンポーネントへ継承する
+		ctx.#lane = this.#lane;
 		ctx.#component = gen(ctx);
+		this.#tree.components.set(ctx.#path, ctx.#component);
 		ctx.waitFlag = this.waitFlag;
 		return ctx;
 	}
@@ -2700,13 +4658,114 @@ class Context {
 		const ctx = new Context(this.#window, this.#domUpdateController, this.#stateCtx, suspenseCtx);
 		ctx.#lifecycle = this.#lifecycle;
 		ctx.#component = this.#component;
-		ctx.#domUpdateLabel = this.domUpdateLabel;
+		ctx.#domUpdateLabelMap = this.#domUpdateLabelMap;
+		ctx.#lane = this.#lane;
 		ctx.#sideEffectLabel = this.sideEffectLabel;
 		ctx.#functionDeliveryFlag = this.#functionDeliveryFlag;
+		ctx.#tree = this.#tree;
+		ctx.#path = this.#path;
 		ctx.waitFlag = this.waitFlag;
 		return ctx;
 	}
 
+	/**
+	 * コンポーネントの経路の取得
+	 */
+	get path() { return this.#path; }
+
+	/**
+	 * 状態変数をスナップショットの対象として登録して復元する値が存在すれば復元する(状態変数の登録が有効でない場合は何もしない)
+	 * @template T
+	 * @param { State<T> } state 登録する状態変数
+	 * @returns { State<T> }
+	 */
+	registerState(state) {
+		// コンポーネント外の状態変数は経路が安定しないため対象としない
+		if (!this.#component || !this.#tree.trackStates) {
+			return state;
+		}
+		let stateList = this.#tree.states.get(this.#path);
+		if (!stateList) {
+			stateList = [];
+			this.#tree.states.set(this.#path, stateList);
+		}
+		const index = stateList.length;
+		stateList.push(state);
+		const values = this.#tree.restore?.[this.#path];
+		if (values && Object.hasOwn(values, index)) {
+			state.org = values[index];
+		}
+		return state;
+	}
+
+	/**
+	 * 登録された状態変数の値をコンポーネントの経路ごとに直列化可能な形式で取得する(直列化できない値は除外する)
+	 * @returns { Record<string, Record<string, unknown>> }
+	 */
+	serializeStates() {
+		/** @type { Record<string, Record<string, unknown>> } */
+		const result = {};
+		for (const [path, stateList] of this.#tree.states) {
+			/** @type { Record<string, unknown> } */
+			const values = {};
+			let exists = false;
+			stateList.forEach((state, index) => {
+				if (isSerializable(state.org)) {
+					values[index] = state.org;
+					exists = true;
+				}
+			});
+			if (exists) {
+				result[path] = values;
+			}
+		}
+		return result;
+	}
+
+	/**
+	 * コンポーネントの削除に伴いツリーに登録されたコンポーネントと状態変数を子孫のコンポーネントも含めて破棄する
+	 */
+	release() {
+		if (this.#component && this.#tree.components.get(this.#path) === this.#component) {
+			const prefix = `${this.#path}/`;
+			for (const map of [this.#tree.components, this.#tree.states]) {
+				for (const path of [...map.keys()]) {
+					if (path === this.#path || path.startsWith(prefix)) {
+						map.delete(path);
+					}
+				}
+			}
+		}
+	}
+
+	/**
+	 * 以降に構築されるコンポーネントの状態変数の登録を有効にする
+	 */
+	trackStates() {
+		this.#tree.trackStates = true;
+	}
+
+	/**
+	 * ツリーに登録されている有効なコンポーネントの取得
+	 * @returns { Map<string, StateComponent<unknown>> }
+	 */
+	get components() { return new Map(this.#tree.components); }
+
+	/**
+	 * コンポーネントの経路ごとに登録された状態変数の取得
+	 * @returns { Map<string, State<unknown>[]> }
+	 */
+	get componentStates() { return new Map(this.#tree.states); }
+
+	/**
+	 * 以降に構築されるコンポーネントで復元する状態変数の値を設定する(状態変数の登録も有効にする)
+	 * @param { Record<string, Record<string, unknown>> } data serializeStatesで取得した値
+	 */
+	restoreStates(data) {
+		this.#tree.restore = data;
+		this.#tree.trackStates = true;
+	}
+
 	/**
 	 * ウィンドウインターフェースの取得
 	 * @returns { typeof window }
@@ -2731,7 +4790,32 @@ class Context {
 	/**
 	 * DOM更新の際に用いるラベル
 	 */
-	get domUpdateLabel() { return this.#domUpdateLabel || (this.#domUpdateLabel = new DomUpdateLabel(this)); }
+	get domUpdateLabel() { return this.getDomUpdateLabel(this.#lane); }
+
+	/**
+	 * 指定した優先度でDOM更新を行うラベルの取得
+	 * @param { LaneType } lane DOM更新の優先度
+	 * @returns { DomUpdateLabel }
+	 */
+	getDomUpdateLabel(lane) {
+		let label = this.#domUpdateLabelMap.get(lane);
+		if (!label) {
+			label = new DomUpdateLabel(this, lane);
+			this.#domUpdateLabelMap.set(lane, label);
+		}
+		return label;
+	}
+
+	/**
+	 * コンテキストで構築するノードのDOM更新の優先度の取得
+	 */
+	get lane() { return this.#lane; }
+
+	/**
+	 * コンテキストで構築するノードのDOM更新の優先度の設定(子孫のコンポーネントにも適用される)
+	 * @param { LaneType } lane DOM更新の優先度
+	 */
+	set lane(lane) { this.#lane = validateLane(lane); }
 
 	/**
 	 * 副作用が生じる可能性がある更新の際に用いるラベル
@@ -2768,12 +4852,45 @@ class Context {
 		await this.#suspenseCtx.capture(this, callback, cancellable);
 	}
 
+	/**
+	 * 状態の更新の通知をcallbackの終了まで遅延して各呼び出し元を1度のみ評価する
+	 * @template R
+	 * @param { () => R } callback 状態変数の更新をまとめて行う同期関数
+	 * @returns { R }
+	 */
+	batch(callback) {
+		return this.#stateCtx.batch(callback);
+	}
+
+	/**
+	 * タスクのスケジュールを行うスケジューラの取得
+	 */
+	get scheduler() { return this.#domUpdateController.scheduler; }
+
+	/**
+	 * DOMの更新のためのコントローラの取得
+	 */
+	get domUpdateController() { return this.#domUpdateController; }
+
+	/**
+	 * callbackを実行してから蓄積したDOMノードの状態の更新を同期的に処理する
+	 * @template R
+	 * @param { (() => R) | undefined } callback 実行する関数
+	 * @returns { R | undefined }
+	 */
+	flushSync(callback = undefined) {
+		const result = callback?.();
+		this.#domUpdateController.flush();
+		return result;
+	}
+
 	/**
 	 * DOMノードの状態の更新の蓄積を行う
 	 * @param { ICallerLabel } callerLabel 更新情報
+	 * @param { LaneType } lane DOM更新の優先度
 	 */
-	update(callerLabel) {
-		this.#domUpdateController.update(callerLabel);
+	update(callerLabel, lane = 'microtask') {
+		this.#domUpdateController.update(callerLabel, lane);
 	}
 
 	/**
@@ -2896,17 +5013,135 @@ class Context {
 	}
 }
 
+/**
+ * @typedef {{
+ * 		id: string;
+ * 		type: 'component' | 'state' | 'computed' | 'asyncComputed' | 'watch' | 'dom' | 'effect';
+ * 		label: string;
+ * 		subscribers?: number;
+ * }} DependencyNodeType 依存関係のグラフのノード(subscribersは状態変数の呼び出し元の数を示す)
+ */
+
+/**
+ * @typedef {{
+ * 		from: string;
+ * 		to: string;
+ * 		kind: 'child' | 'owns' | CallerInfoType['kind'] | 'effect';
+ * }} DependencyEdgeType 依存関係のグラフの辺(kindは関連付けの種類でchildは親子のコンポーネント、ownsはコンポーネントが宣言した状態変数を示す)
+ */
+
+/** DOT形式におけるノードの種類ごとの形状 */
+const dotShapes = {
+	component: 'box',
+	state: 'ellipse',
+	computed: 'diamond',
+	asyncComputed: 'diamond',
+	watch: 'hexagon',
+	dom: 'note',
+	effect: 'octagon'
+};
+
+/**
+ * 状態変数とその呼び出し元の依存関係のグラフ
+ */
+class DependencyGraph {
+	/** @type { DependencyNodeType[] } ノードのリスト */
+	#nodes = [];
+	/** @type { DependencyEdgeType[] } 辺のリスト */
+	#edges = [];
+	/** @type { Map<unknown, DependencyNodeType> } ノードが示す対象とノードの対応 */
+	#nodeMap = new Map();
+
+	/**
+	 * ノードのリストの取得
+	 * @returns { DependencyNodeType[] }
+	 */
+	get nodes() { return [...this.#nodes]; }
+
+	/**
+	 * 辺のリストの取得
+	 * @returns { DependencyEdgeType[] }
+	 */
+	get edges() { return [...this.#edges]; }
+
+	/**
+	 * 対象を示すノードの取得
+	 * @param { unknown } key ノードが示す対象
+	 * @returns { DependencyNodeType | undefined }
+	 */
+	get(key) { return this.#nodeMap.get(key); }
+
+	/**
+	 * ノードの追加(既に追加されている場合は既存のノードを返す)
+	 * @param { unknown } key ノードが示す対象
+	 * @param { Omit<DependencyNodeType, 'id'> } node 追加するノードの情報
+	 * @returns { DependencyNodeType }
+	 */
+	add(key, node) {
+		let result = this.#nodeMap.get(key);
+		if (!result) {
+			// 走査順のインデックスをIDとすることで同じ構成からは同じグラフが得られるようにする
+			result = { id: `n${this.#nodes.length}`, ...node };
+			this.#nodes.push(result);
+			this.#nodeMap.set(key, result);
+		}
+		return result;
+	}
+
+	/**
+	 * 辺の追加
+	 * @param { DependencyNodeType } from 依存元のノード
+	 * @param { DependencyNodeType } to 依存先のノード
+	 * @param { DependencyEdgeType['kind'] } kind 関連付けの種類
+	 */
+	connect(from, to, kind) {
+		this.#edges.push({ from: from.id, to: to.id, kind });
+	}
+
+	/**
+	 * JSONとして出力する値の取得
+	 * @returns { { nodes: DependencyNodeType[]; edges: DependencyEdgeType[] } }
+	 */
+	toJSON() {
+		return { nodes: this.#nodes.map(node => ({ ...node })), edges: this.#edges.map(edge => ({ ...edge })) };
+	}
+
+	/**
+	 * Graphvizで描画可能なDOT形式の文字列の取得
+	 * @param { string } name グラフの名前
+	 * @returns { string }
+	 */
+	toDOT(name = 'dependencies') {
+		/**
+		 * DOT形式の文字列リテラルに変換する
+		 * @param { string } str 変換する文字列
+		 */
+		const quote = str => `"${str.replace(/[\\"]/g, c => `\\${c}`).replace(/\n/g, '\\n')}"`;
+		const lines = [`digraph ${quote(name)} {`];
+		for (const node of this.#nodes) {
+			const label = node.subscribers === undefined ? node.label : `${node.label}\n(${node.subscribers})`;
+			lines.push(`\t${node.id} [label=${quote(label)}, shape=${dotShapes[node.type]}];`);
+		}
+		for (const edge of this.#edges) {
+			lines.push(`\t${edge.from} -> ${edge.to} [label=${quote(edge.kind)}];`);
+		}
+		lines.push('}');
+		return lines.join('\n');
+	}
+}
+
 /**
  * パラメータの設定
  * @template Val
  * @param { CtxValueType<Val> } val パラメータの値
  * @param { (val: Val) => unknown } setter パラメータの設定のルール
  * @param { CallerType['label'] } label setterに付加するラベル
+ * @param { CallerInfoType | undefined } info setterについての依存関係の検査に用いる情報
  */
-function setParam(val, setter, label = undefined) {
+function setParam(val, setter, label = undefined, info = undefined) {
 	if (val instanceof State || val instanceof Computed) {
 		// 状態変数の場合は変更を監視
-		const callerType = { caller: () => setter(val.value), label };
+		const callerType = { caller: () => setter(val.value), label, info };
 		callerType.caller();
 		val.add(callerType);
 		return { caller: callerType, states: [val instanceof State ? val : val.state] };
@@ -2925,10 +5160,15 @@ function setParam(val, setter, label = undefined) {
  * @template T
  * @param { Context | StateContext } ctx 状態変数が属するコンテキスト
  * @param { T } value 状態変数の初期値
+ * @param { StateOptions<T> } options 状態変数のオプション
  * @returns { State<T> }
  */
-function useState(ctx, value) {
-	return new State(ctx instanceof Context ? ctx.state : ctx, value);
+function useState(ctx, value, options = {}) {
+	if (ctx instanceof Context) {
+		// SSRで直列化した値の復元の対象とする
+		return ctx.registerState(new State(ctx.state, value, options));
+	}
+	return new State(ctx, value, options);
 }
 
 /**
@@ -2936,10 +5176,190 @@ function useState(ctx, value) {
  * @template T
  * @param { Context | StateContext } ctx 状態変数が属するコンテキスト
  * @param { () => T } f 算出プロパティを計算する関数
+ * @param { ComputedOptions<T> } options 算出プロパティのオプション
  * @returns { Computed<T> }
  */
-function useComputed(ctx, f) {
-	return new Computed(ctx instanceof Context ? ctx.state : ctx, f);
+function useComputed(ctx, f, options = {}) {
+	return new Computed(ctx instanceof Context ? ctx.state : ctx, f, undefined, options);
+}
+
+/**
+ * @template T
+ * @typedef {{
+ * 		value: State<T | undefined>;
+ * 		pending: State<boolean>;
+ * 		error: State<unknown>;
+ * }} AsyncComputedType 非同期の算出プロパティ(valueは最後に完了した計算結果、pendingは計算中であるか、errorは最後の計算で発生した例外を示す)
+ */
+
+/**
+ * 非同期の算出プロパティの宣言(最初のawaitまでに参照された状態変数の変更で再計算し、実行中の計算は中断される)
+ * @template T
+ * @param { Context | StateContext } ctx 状態変数が属するコンテキスト
+ * @param { (signal: AbortSignal) => Promise<T> } f 算出プロパティを計算する非同期関数
+ * @param { T | undefined } init 計算が完了するまでの初期値
+ * @returns { AsyncComputedType<T> }
+ */
+function useAsyncComputed(ctx, f, init = undefined) {
+	const stateCtx = ctx instanceof Context ? ctx.state : ctx;
+	/** @type { State<T | undefined> } */
+	const value = new State(stateCtx, init);
+	const pending = new State(stateCtx, false);
+	/** @type { State<unknown> } */
+	const error = new State(stateCtx, undefined);
+	/** @type { AbortController | undefined } 最新の計算の中断のためのコントローラ */
+	let controller = undefined;
+	/** @type { State<unknown>[] } 依存先の状態変数 */
+	let states = [];
+	let stopped = false;
+
+	/** @type { CallerType } */
+	const caller = {
+		info: { kind: 'asyncComputed', target: value },
+		caller: () => {
+			if (stopped) {
+				return;
+			}
+			// 実行中の計算は中断して結果を破棄する
+			controller?.abort();
+			const current = controller = new AbortController();
+			const result = stateCtx.track(caller, () => {
+				try {
+					return f(current.signal);
+				}
+				catch (e) {
+					return Promise.reject(e);
+				}
+			});
+			// 参照されなくなった状態変数の監視を解除する
+			const stateSet = new Set(result.states);
+			for (const state of states) {
+				if (!stateSet.has(state)) {
+					state.delete(caller);
+				}
+			}
+			states = result.states;
+			pending.value = true;
+
+			const task = async () => {
+				try {
+					const next = await result.value;
+					if (current === controller) {
+						stateCtx.batch(() => {
+							value.value = next;
+							error.value = undefined;
+						});
+					}
+				}
+				catch (e) {
+					if (current === controller) {
+						error.value = e;
+					}
+				}
+				finally {
+					if (current === controller) {
+						pending.value = false;
+					}
+				}
+			};
+			// Suspenseが存在する場合は計算の完了まで待機させる
+			if (ctx instanceof Context) {
+				ctx.capture(task);
+			}
+			else {
+				task();
+			}
+		}
+	};
+	EffectScope.current?.add(() => {
+		stopped = true;
+		controller?.abort();
+		controller = undefined;
+		states.forEach(s => s.delete(caller));
+		states = [];
+	});
+	caller.caller();
+
+	return { value, pending, error };
+}
+
+/**
+ * 深いリアクティブなオブジェクトの宣言(プロパティの参照と変更が状態変数と同様に監視される)
+ * @template { object } T
+ * @param { Context | StateContext } ctx 状態変数が属するコンテキスト
+ * @param { T } obj 対象のオブジェクト(配列もしくは連想配列)
+ * @returns { T }
+ */
+function useReactive(ctx, obj) {
+	return ReactiveHandler.reactive(ctx instanceof Context ? ctx.state : ctx, obj);
+}
+
+/**
+ * リアクティブなオブジェクトであることの判定
+ * @param { unknown } value 判定対象
+ * @returns { boolean }
+ */
+function isReactive(value) {
+	return ReactiveHandler.find(value) !== undefined;
+}
+
+/**
+ * リアクティブなオブジェクトから元のオブジェクトを取得する
+ * @template T
+ * @param { T } value 取得対象
+ * @returns { T }
+ */
+function toRaw(value) {
+	return ReactiveHandler.find(value)?.raw ?? value;
+}
+
+/**
+ * DOMノードのプロパティの更新の優先度の指定
+ * @template T
+ * @param { T } value プロパティの値
+ * @param { LaneType } lane DOM更新の優先度
+ * @returns { LaneValue<T> }
+ */
+function withLane(value, lane) {
+	return new LaneValue(value, lane);
+}
+
+/**
+ * エフェクトスコープを生成して関数を実行する(関数内で生成された呼び出し元はscope.stop()で全て破棄される)
+ * @param { (scope: EffectScope) => unknown } callback スコープ内で実行する関数
+ * @returns { EffectScope }
+ */
+function effectScope(callback) {
+	const scope = new EffectScope();
+	scope.run(() => callback(scope));
+	return scope;
+}
+
+/**
+ * @typedef {{
+ * 		immediate?: boolean;
+ * 		deep?: boolean;
+ * 		once?: boolean;
+ * 		flush?: 'sync' | 'pre' | 'post';
+ * }} WatchOptions ウォッチャーのオプション(immediateは宣言時の即時の呼び出し、deepはネストしたリアクティブなオブジェクトの監視、onceは1度の呼び出しでの監視の停止、flushは評価のタイミングで未指定の場合は副作用、syncが同期的、preがDOM更新の直前、postがDOM更新の後での評価を示す)
+ */
+
+/**
+ * @typedef { CallerType & { stop: () => void } } WatchHandle ウォッチャーのハンドラ(stopで監視を停止する)
+ */
+
+/**
+ * オブジェクトを再帰的に参照する(リアクティブなオブジェクトであれば参照したプロパティが監視対象となる)
+ * @param { unknown } value 参照する値
+ * @param { Set<object> } visited 参照済みのオブジェクト
+ */
+function traverse(value, visited = new Set()) {
+	if (typeof value === 'object' && value !== null && !visited.has(value) && !(value instanceof IState)) {
+		visited.add(value);
+		for (const key of Object.keys(value)) {
+			traverse(value[key], visited);
+		}
+	}
 }
 
 /**
@@ -2948,7 +5368,8 @@ function useComputed(ctx, f) {
  * @param { Context | StateContext } ctx ウォッチを行うコンテキスト
  * @param { IState<T> } state 監視を行う状態変数
  * @param { (prev: T, next: T) => unknown } f ウォッチャー
- * @returns { CallerType }
+ * @param { WatchOptions } options ウォッチャーのオプション
+ * @returns { WatchHandle }
  */
 /**
  * @template T
@@ -2956,7 +5377,8 @@ function useComputed(ctx, f) {
  * @param { Context | StateContext } ctx ウォッチを行うコンテキスト
  * @param { IState<unknown>[] } state 監視を行う状態変数のリスト
  * @param { () => unknown } f ウォッチャー
- * @returns { CallerType }
+ * @param { WatchOptions } options ウォッチャーのオプション
+ * @returns { WatchHandle }
  */
 /**
  * ウォッチャーの宣言
@@ -2964,32 +5386,166 @@ function useComputed(ctx, f) {
  * @param { Context | StateContext } ctx ウォッチを行うコンテキスト
  * @param { IState<unknown>[] | IState<T> } state 監視を行う状態変数
  * @param { (() => unknown) | ((prev: T, next: T) => unknown) } f ウォッチャー
- * @returns { CallerType | undefined }
+ * @param { WatchOptions } options ウォッチャーのオプション
+ * @returns { WatchHandle }
  */
-function watch(ctx, state, f) {
-	const label = ctx instanceof Context ?  ctx.sideEffectLabel : undefined;
+function watch(ctx, state, f, options = {}) {
+	const flush = options.flush;
+	if (flush !== undefined && flush !== 'sync' && flush !== 'pre' && flush !== 'post') {
+		throw new Error(`Unknown flush option: ${flush}`);
+	}
+	// StateContextの場合はDOMおよびコンポーネントが存在しないため常に同期的に評価する
+	const label = !(ctx instanceof Context) ? undefined :
+		flush === 'sync' ? new CommonLabel() :
+		flush === 'post' ? ctx.domUpdateLabel.post :
+		flush === 'pre' ? ctx.domUpdateLabel.pre : ctx.sideEffectLabel;
+	const single = state instanceof IState;
+	/** @type { (State<T> | Computed<T>)[] } 監視対象の状態変数 */
+	const targets = (single ? [state] : state).filter(s => s instanceof State || s instanceof Computed);
+	/** @type { State<unknown>[] } 呼び出し元を登録した状態変数 */
+	let states = [];
+	let stopped = false;
+	let nextState = single ? state.value : undefined;
+
+	/**
+	 * deepの場合にネストしたオブジェクトを参照して監視対象を再収集する
+	 */
+	const collect = () => {
+		/** @type { State<unknown>[] } */
+		const nextStates = [];
+		for (const s of targets) {
+			nextStates.push(...s.ctx.track(handle, () => traverse(s.value)).states);
+		}
+		for (const s of states) {
+			if (!nextStates.includes(s)) {
+				s.delete(handle);
+			}
+		}
+		states = nextStates;
+	};
+
+	/**
+	 * ウォッチャーの呼び出し
+	 * @param { T | undefined } prev 変更前の値
+	 * @param { T | undefined } next 変更後の値
+	 */
+	const invoke = (prev, next) => {
+		if (options.once) {
+			handle.stop();
+		}
+		return single ? f(prev, next) : f();
+	};
 
-	if (state instanceof IState) {
-		let prevState =  state.value;
-		let nextState = state.value;
+	/** @type { WatchHandle } */
+	const handle = {
+		caller: () => {
+			// 停止前に蓄積された評価は行わない
+			if (stopped) {
+				return;
+			}
+			if (options.deep) {
+				collect();
+			}
+			const prev = nextState;
+			nextState = single ? state.value : undefined;
+			return invoke(prev, nextState);
+		},
+		label,
+		info: { kind: 'watch' },
+		stop: () => {
+			stopped = true;
+			for (const s of states) {
+				s.delete(handle);
+			}
+			states = [];
+		}
+	};
 
-		/** @type { CallerType } */
-		const caller = {
-			caller: () => {
-				prevState = nextState;
-				nextState = state.value;
-				return f(prevState, nextState);
-			}, label
-		};
-		(state instanceof State || state instanceof Computed) && state.add(caller);
-		return caller;
+	if (options.deep) {
+		collect();
 	}
 	else {
-		/** @type { CallerType } */
-		const caller = { caller: f, label };
-		state.forEach(s => (s instanceof State || s instanceof Computed) && s.add(caller));
-		return caller;
+		targets.forEach(s => {
+			if (s instanceof Computed && s.lazy) {
+				// 遅延評価の場合は依存先を収集してから登録する(外側の呼び出し元の依存関係としては記録しない)
+				s.ctx.noreference(() => s.ctx.track(handle, () => s.value));
+			}
+			s.add(handle);
+		});
+		states = targets.map(s => s instanceof Computed ? s.state : s);
 	}
+	EffectScope.current?.add(handle.stop);
+	if (options.immediate) {
+		invoke(undefined, nextState);
+	}
+	return handle;
+}
+
+/**
+ * 依存関係のグラフの取得(コンポーネントとそれが宣言した状態変数およびstatesを起点に呼び出し元を辿る、コンポーネントの状態変数はtrackStatesを有効にしたコンテキストでのみ得られる)
+ * @param { Context | undefined } ctx 走査するコンポーネントのツリーに属するコンテキスト
+ * @param { (State<unknown> | Computed<unknown>)[] } states 起点に加える状態変数
+ * @returns { DependencyGraph }
+ */
+function inspect(ctx, states = []) {
+	const graph = new DependencyGraph();
+	/** @type { State<unknown>[] } 呼び出し元を走査する状態変数 */
+	const queue = [];
+
+	/**
+	 * 状態変数のノードを追加して走査の対象とする
+	 * @param { State<unknown> } state 追加する状態変数
+	 * @param { DependencyNodeType['type'] } type ノードの種類
+	 * @param { string } label ノードの表示名
+	 */
+	const visit = (state, type, label) => {
+		if (!graph.get(state)) {
+			queue.push(state);
+		}
+		return graph.add(state, { type, label, subscribers: state.callerCount });
+	};
+
+	// コンポーネントは構築順に走査する
+	if (ctx) {
+		const componentStates = ctx.componentStates;
+		for (const [path, component] of ctx.components) {
+			const node = graph.add(component, { type: 'component', label: `${component.name || 'anonymous'} (${path})` });
+			const parent = component.parent && graph.get(component.parent);
+			if (parent) {
+				graph.connect(parent, node, 'child');
+			}
+			(componentStates.get(path) ?? []).forEach((state, index) => {
+				graph.connect(node, visit(state, 'state', `${path}[${index}]`), 'owns');
+			});
+		}
+	}
+	for (const state of states) {
+		if (state instanceof Computed) {
+			visit(state.state, 'computed', 'computed');
+		}
+		else {
+			visit(state, 'state', 'state');
+		}
+	}
+
+	for (let i = 0; i < queue.length; ++i) {
+		const from = graph.get(queue[i]);
+		for (const caller of queue[i].callers) {
+			const info = caller.info;
+			if (info?.target instanceof State) {
+				// 状態変数を更新する呼び出し元は状態変数間の辺とする
+				const type = info.kind === 'computed' || info.kind === 'asyncComputed' ? info.kind : 'state';
+				graph.connect(from, visit(info.target, type, type), info.kind);
+			}
+			else {
+				// 状態変数以外を更新する呼び出し元はそれ自体をノードとする
+				const type = info?.kind === 'watch' || info?.kind === 'dom' ? info.kind : 'effect';
+				graph.connect(from, graph.add(caller, { type, label: info?.name ?? type }), info?.kind ?? 'effect');
+			}
+		}
+	}
+
+	return graph;
 }
 
 /**
@@ -3013,6 +5569,168 @@ function normalizeCtxChild(nodeList) {
 	}) : nodeList;
 };
 
+/**
+ * @template T
+ * @typedef {{
+ * 		type?: Function | Function[];
+ * 		required?: boolean;
+ * 		oneOf?: T[];
+ * 		validator?: (value: T) => boolean | string | undefined;
+ * 		default?: T;
+ * 		writable?: boolean;
+ * }} PropSchemaType プロパティの検証スキーマ(typeはStringやNumberなどのコンストラクタ、validatorはfalseかエラーメッセージを返した場合に不正な値とする、writableが有効の場合は渡された状態変数に子から書き込め、算出プロパティなどの書き込めない値が渡された場合は警告して子の状態変数に複製する)
+ */
+
+/** プリミティブ型を示すコンストラクタとtypeofの結果の対応 */
+const primitiveTypeMap = new Map([
+	[String, 'string'],
+	[Number, 'number'],
+	[Boolean, 'boolean'],
+	[Function, 'function'],
+	[Symbol, 'symbol'],
+	[BigInt, 'bigint']
+]);
+
+/** プロパティの検証および読み取り専用のプロパティへの書き込みの検出を行うかを示すフラグ */
+let propValidationFlag = true;
+
+/**
+ * プロパティの検証の有効化/無効化(本番環境では無効化することで検証の処理を省略し、読み取り専用のプロパティへの書き込みは例外とせずに無視する)
+ * @param { boolean } flag 検証を行うかを示すフラグ
+ */
+function setPropValidation(flag) {
+	propValidationFlag = flag;
+}
+
+/**
+ * 値がコンストラクタの示す型であるかの判定
+ * @param { unknown } value 判定対象の値
+ * @param { Function } type 型を示すコンストラクタ
+ */
+function isPropTypeOf(value, type) {
+	const primitive = primitiveTypeMap.get(type);
+	if (primitive) {
+		return typeof value === primitive;
+	}
+	if (type === Array) {
+		return Array.isArray(value);
+	}
+	if (type === Object) {
+		return typeof value === 'object' && value !== null && !Array.isArray(value);
+	}
+	return value instanceof type;
+}
+
+/**
+ * 検証スキーマを伴うプロパティの型
+ * @template T
+ */
+class PropType {
+	/** @type { PropSchemaType<T> } 検証スキーマ */
+	#schema;
+
+	/**
+	 * コンストラクタ
+	 * @param { PropSchemaType<T> } schema 検証スキーマ
+	 */
+	constructor(schema) {
+		this.#schema = schema;
+	}
+
+	/**
+	 * デフォルト値の取得
+	 */
+	get default() { return this.#schema.default; }
+
+	/**
+	 * 子から書き込めるプロパティであるかの取得
+	 */
+	get writable() { return this.#schema.writable === true; }
+
+	/**
+	 * 値の検証
+	 * @param { unknown } value 検証対象の値
+	 * @returns { string | undefined } 不正な値の場合はその理由
+	 */
+	validate(value) {
+		const schema = this.#schema;
+		if (value === undefined || value === null) {
+			return schema.required ? 'Missing required prop.' : undefined;
+		}
+		if (schema.type !== undefined) {
+			const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+			if (!types.some(type => isPropTypeOf(value, type))) {
+				return `Expected ${types.map(type => type.name).join(' | ')}, got ${Array.isArray(value) ? 'array' : typeof value}.`;
+			}
+		}
+		if (schema.oneOf && !schema.oneOf.some(e => Object.is(e, value))) {
+			return `Expected one of [${schema.oneOf.map(e => JSON.stringify(e)).join(', ')}], got ${JSON.stringify(value)}.`;
+		}
+		if (schema.validator) {
+			const result = schema.validator(value);
+			if (typeof result === 'string') {
+				return result;
+			}
+			if (result === false) {
+				return 'Custom validator check failed.';
+			}
+		}
+		return undefined;
+	}
+}
+
+/**
+ * 検証スキーマを伴うプロパティの型の宣言(propTypesの値として指定する)
+ * @template T
+ * @param { PropSchemaType<T> } schema 検証スキーマ
+ * @returns { PropType<T> }
+ */
+function propType(schema) {
+	return new PropType(schema);
+}
+
+/**
+ * propTypesに指定されたプロパティのデフォルト値の取得
+ * @template { ComponentType<K> | AsyncComponentType<K> } K
+ * @param { K } component コンポーネントを示す関数
+ * @param { string } key プロパティのキー
+ */
+function getDefaultProp(component, key) {
+	const val = component.propTypes[key];
+	return val instanceof PropType ? val.default : val;
+}
+
+/**
+ * コンポーネントに渡すプロパティの検証(状態変数のプロパティは変更の度に再検証する)
+ * @template { ComponentType<K> | AsyncComponentType<K> } K
+ * @param { K } component コンポーネントを示す関数
+ * @param { CompPropTypes<K> } props 検証対象のプロパティ
+ * @param { { caller: CallerType; states: State<unknown>[] }[] } callerList 再検証を行う呼び出し元を登録するリスト
+ */
+function validateProps(component, props, callerList) {
+	const name = component.name || 'Anonymous';
+	for (const key in component.propTypes ?? {}) {
+		const schema = component.propTypes[key];
+		if (!(schema instanceof PropType)) {
+			continue;
+		}
+		const state = props[key];
+		const check = () => {
+			const message = schema.validate(state instanceof State ? state.org : state.value);
+			if (message !== undefined) {
+				console.warn(`[${name}] Invalid prop "${key}": ${message}`);
+			}
+		};
+		check();
+		if (state instanceof State) {
+			/** @type { CallerType } */
+			const caller = { caller: check, label: undefined, info: { kind: 'watch', name: `${name}.propTypes.${key}` } };
+			state.add(caller);
+			callerList.push({ caller, states: [state] });
+		}
+	}
+}
+
 /**
  * プロパティを正規化する(stateComponentを設定することで副作用を捕捉するようになる)
  * @template { ComponentType<K> | AsyncComponentType<K> } K
@@ -3032,7 +5750,7 @@ function normalizeCtxProps(component, props, stateComponent = undefined) {
 			}
 			else {
 				// 値が与えられなかった場合はデフォルト値から持ってきてIStateとなるように伝播
-				const val2 = val === undefined ? component.propTypes[key] : val;
+				const val2 = val === undefined ? getDefaultProp(component, key) : val;
 				if (val2 instanceof Function) {
 					// 関数を設定する場合はエラーハンドリングを行うようにする
 					compProps[key] = new NotState(createWrapperFunction(val2, stateComponent));
@@ -3053,7 +5771,7 @@ function normalizeCtxProps(component, props, stateComponent = undefined) {
 			}
 			else {
 				// 値が与えられなかった場合はデフォルト値から持ってきてIStateとなるように伝播
-				compProps[key] = new NotState(val === undefined ? component.propTypes[key] : val);
+				compProps[key] = new NotState(val === undefined ? getDefaultProp(component, key) : val);
 			}
 		}
 	}
@@ -3131,7 +5849,7 @@ function $(tag, props = undefined, children = undefined) {
 /**
  * テキスト要素の構成
  * @param { TemplateStringsArray } strs タグ付きテンプレートの文字列部
- * @param  { ...(CtxValueType<string | number>) } values タグ付きテンプレートの変数
+ * @param  { ...(CtxValueType<string | number> | object) } values タグ付きテンプレートの変数(リアクティブなオブジェクトも可)
  * @return { string | Computed<string> }
  */
 function t(strs, ...values) {
@@ -3144,6 +5862,13 @@ function t(strs, ...values) {
 			ctx = value.ctx;
 			break;
 		}
+		// リアクティブなオブジェクトは文字列化の際の参照が監視される
+		const handler = ReactiveHandler.find(value);
+		if (handler) {
+			useStateFlag = true;
+			ctx = handler.ctx;
+			break;
+		}
 	}
 	// 結果の文字列を計算する関数
 	const f = () => {
@@ -3218,9 +5943,15 @@ function textToStateNodeSet(ctx, text) {
 
 export {
 	CommonLabel,
+	DomUpdateLabel,
+	DomUpdateController,
+	ManualScheduler,
+	LaneValue,
+	PropType,
 	IState,
 	NotState,
 	State,
+	ReadonlyState,
 	Computed,
 	StateNode,
 	StatePlaceholderNode,
@@ -3234,11 +5965,24 @@ export {
 	GenStateComponent,
 	ILocalSuspenseContext,
 	SuspenseContext,
+	EffectScope,
 	StateContext,
 	Context,
 	useState,
 	useComputed,
+	useAsyncComputed,
+	useReactive,
+	isReactive,
+	toRaw,
+	effectScope,
+	withLane,
+	propType,
+	setPropValidation,
+	observableSymbol,
+	registerObserver,
 	watch,
+	DependencyGraph,
+	inspect,
 	normalizeCtxChild,
 	normalizeCtxProps,
 	$,
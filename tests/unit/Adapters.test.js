@@ -0,0 +1,126 @@
+/** @jest-environment jsdom */
+import { Context, $ } from "../../src/core.js";
+import { fromEvent, fromPromise, fromAsyncIterable } from "../../sample/lib/adapters.js";
+import { describe, it, expect } from '@jest/globals';
+
+/**
+ * 非同期処理の完了を待機して更新を反映する
+ * @param { Context } ctx
+ */
+async function flush(ctx) {
+	for (let i = 0; i < 3; ++i) {
+		ctx.flushSync();
+		await new Promise(resolve => setTimeout(resolve));
+	}
+}
+
+/**
+ * アダプタを利用するコンポーネントを構築する
+ * @template T
+ * @param { (ctx: Context) => T } f コンポーネント内で実行する関数
+ */
+function mountAdapter(f) {
+	const ctx = new Context(window);
+	/** @type { { result: T | undefined; errors: unknown[] } } */
+	const ret = { result: undefined, errors: [] };
+	/**
+	 * @param { Context } ctx
+	 */
+	function App(ctx) {
+		ctx.onErrorCaptured(error => { ret.errors.push(error); return false; });
+		ret.result = f(ctx);
+		return $('div');
+	}
+	const { node } = $(App).build(ctx);
+	return { ctx, ret, unmount: () => ctx.flushSync(() => node.remove()) };
+}
+
+describe('アダプタ', () => {
+	it('fromEvent', () => {
+		const target = new EventTarget();
+		const { ret, unmount } = mountAdapter(ctx => fromEvent(ctx, target, 'custom', e => e.detail, 0));
+		expect(ret.result.value).toBe(0);
+		target.dispatchEvent(new CustomEvent('custom', { detail: 1 }));
+		expect(ret.result.value).toBe(1);
+
+		// アンマウント後はイベントを反映しない
+		unmount();
+		target.dispatchEvent(new CustomEvent('custom', { detail: 2 }));
+		expect(ret.result.value).toBe(1);
+	});
+
+	it('fromPromise', async () => {
+		const fulfilled = mountAdapter(ctx => fromPromise(ctx, Promise.resolve('ok')));
+		expect(fulfilled.ret.result.value.status).toBe('pending');
+		await flush(fulfilled.ctx);
+		expect(fulfilled.ret.result.value).toStrictEqual({ status: 'fulfilled', value: 'ok', error: undefined });
+
+		const error = new Error('failed');
+		const rejected = mountAdapter(ctx => fromPromise(ctx, Promise.reject(error)));
+		await flush(rejected.ctx);
+		expect(rejected.ret.result.value).toStrictEqual({ status: 'rejected', value: undefined, error });
+
+		// アンマウント後に解決した結果は反映しない
+		/** @type { (value: string) => void } */
+		let resolve;
+		const disposed = mountAdapter(ctx => fromPromise(ctx, new Promise(r => resolve = r)));
+		disposed.unmount();
+		resolve('late');
+		await flush(disposed.ctx);
+		expect(disposed.ret.result.value.status).toBe('pending');
+	});
+
+	it('fromAsyncIterable', async () => {
+		let finished = false;
+		/** @type { ((value: number) => void)[] } */
+		const resolvers = [];
+		async function* generate() {
+			try {
+				while (true) {
+					yield await new Promise(resolve => resolvers.push(resolve));
+				}
+			}
+			finally {
+				finished = true;
+			}
+		}
+		const { ctx, ret, unmount } = mountAdapter(ctx => fromAsyncIterable(ctx, generate(), 0));
+		expect(ret.result.value).toBe(0);
+		await flush(ctx);
+		resolvers.shift()(1);
+		await flush(ctx);
+		expect(ret.result.value).toBe(1);
+
+		// アンマウント時にイテレータを終了する
+		unmount();
+		resolvers.shift()(2);
+		await flush(ctx);
+		expect(ret.result.value).toBe(1);
+		expect(finished).toBe(true);
+	});
+
+	it('fromAsyncIterableの例外', async () => {
+		async function* fail() {
+			yield 1;
+			throw new Error('boom');
+		}
+		const { ctx, ret } = mountAdapter(ctx => fromAsyncIterable(ctx, fail()));
+		await flush(ctx);
+		expect(ret.result.value).toBe(1);
+		expect(ret.errors.map(error => error.message)).toStrictEqual(['boom']);
+
+		// 破棄後の例外は無視する
+		/** @type { (error: Error) => void } */
+		let reject;
+		const disposed = mountAdapter(ctx => fromAsyncIterable(ctx, {
+			[Symbol.asyncIterator]: () => ({
+				next: () => new Promise((_, r) => reject = r),
+				return: () => Promise.reject(new Error('return failed'))
+			})
+		}));
+		disposed.unmount();
+		reject(new Error('late'));
+		await flush(disposed.ctx);
+		expect(disposed.ret.errors).toStrictEqual([]);
+	});
+});
@@ -0,0 +1,137 @@
+/** @jest-environment jsdom */
+import { StateContext, State, Context, useAsyncComputed } from "../../src/core.js";
+import { describe, it, expect } from '@jest/globals';
+
+/**
+ * 外部から解決可能なPromiseの生成
+ * @template T
+ */
+function defer() {
+	/** @type { (value: T) => void } */
+	let resolve;
+	/** @type { (reason: unknown) => void } */
+	let reject;
+	/** @type { Promise<T> } */
+	const promise = new Promise((res, rej) => {
+		resolve = res;
+		reject = rej;
+	});
+	return { promise, resolve, reject };
+}
+
+/**
+ * 保留中のPromiseの処理を進める
+ */
+function flushPromises() {
+	return new Promise(resolve => setTimeout(resolve, 0));
+}
+
+describe('AsyncComputed', () => {
+	it('依存先の変更による再計算', async () => {
+		const ctx = new StateContext();
+		const state = new State(ctx, 1);
+		const computed = useAsyncComputed(ctx, async () => {
+			const value = state.value;
+			await Promise.resolve();
+			return value * 2;
+		}, 0);
+
+		expect(computed.value.value).toBe(0);
+		expect(computed.pending.value).toBe(true);
+		await flushPromises();
+		expect(computed.value.value).toBe(2);
+		expect(computed.pending.value).toBe(false);
+
+		++state.value;
+		expect(computed.pending.value).toBe(true);
+		await flushPromises();
+		expect(computed.value.value).toBe(4);
+		expect(computed.pending.value).toBe(false);
+	});
+
+	it('最初のawait以降に参照された状態変数は依存先とならない', async () => {
+		const ctx = new StateContext();
+		const state1 = new State(ctx, 1);
+		const state2 = new State(ctx, 10);
+		let cnt = 0;
+		const computed = useAsyncComputed(ctx, async () => {
+			++cnt;
+			const value = state1.value;
+			await Promise.resolve();
+			return value + state2.value;
+		});
+		await flushPromises();
+		expect(computed.value.value).toBe(11);
+
+		++state2.value;
+		await flushPromises();
+		expect(cnt).toBe(1);
+		expect(computed.value.value).toBe(11);
+	});
+
+	it('実行中の計算の中断と古い結果の破棄', async () => {
+		const ctx = new StateContext();
+		const state = new State(ctx, 0);
+		/** @type { { signal: AbortSignal; deferred: ReturnType<typeof defer<number>> }[] } */
+		const runs = [];
+		const computed = useAsyncComputed(ctx, signal => {
+			state.value;
+			const deferred = defer();
+			runs.push({ signal, deferred });
+			return deferred.promise;
+		});
+
+		++state.value;
+		expect(runs.length).toBe(2);
+		// 再計算により以前の計算は中断される
+		expect(runs[0].signal.aborted).toBe(true);
+		expect(runs[1].signal.aborted).toBe(false);
+
+		// 後発の計算が先に完了した後に先発の計算が完了しても反映されない
+		runs[1].deferred.resolve('new');
+		await flushPromises();
+		expect(computed.value.value).toBe('new');
+		runs[0].deferred.resolve('old');
+		await flushPromises();
+		expect(computed.value.value).toBe('new');
+		expect(computed.pending.value).toBe(false);
+	});
+
+	it('例外の捕捉', async () => {
+		const ctx = new StateContext();
+		const state = new State(ctx, false);
+		const computed = useAsyncComputed(ctx, async () => {
+			if (state.value) {
+				throw new Error('failed');
+			}
+			return 'ok';
+		});
+		await flushPromises();
+		expect(computed.value.value).toBe('ok');
+		expect(computed.error.value).toBe(undefined);
+
+		// 例外の発生時は直前の計算結果を保持する
+		state.value = true;
+		await flushPromises();
+		expect(computed.value.value).toBe('ok');
+		expect(computed.error.value).toBeInstanceOf(Error);
+		expect(computed.pending.value).toBe(false);
+
+		// 計算に成功すると例外は解除される
+		state.value = false;
+		await flushPromises();
+		expect(computed.error.value).toBe(undefined);
+	});
+
+	it('コンテキストへの計算の登録', async () => {
+		const ctx = new Context(window);
+		const state = new State(ctx.state, 'a');
+		const computed = useAsyncComputed(ctx, async signal => `${state.value}!`);
+
+		await flushPromises();
+		expect(computed.value.value).toBe('a!');
+		state.value = 'b';
+		await flushPromises();
+		expect(computed.value.value).toBe('b!');
+	});
+});
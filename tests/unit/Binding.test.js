@@ -0,0 +1,176 @@
+/** @jest-environment jsdom */
+import { Context, ManualScheduler, useState, $ } from "../../src/core.js";
+import { describe, it, expect } from '@jest/globals';
+
+describe('双方向の関連付け', () => {
+	/**
+	 * 手動でタスクを実行するスケジューラを用いたコンテキストの生成
+	 */
+	function createContext() {
+		const scheduler = new ManualScheduler();
+		return { ctx: new Context(window, undefined, undefined, undefined, { scheduler }), scheduler };
+	}
+
+	/**
+	 * 要素でイベントを発火する
+	 * @param { HTMLElement } element イベントを発火する要素
+	 * @param { string } type イベントのタイプ
+	 */
+	function dispatch(element, type) {
+		element.dispatchEvent(new window.Event(type));
+	}
+
+	it('テキストの入力', () => {
+		const { ctx, scheduler } = createContext();
+		const state = useState(ctx, 'a');
+		let cnt = 0;
+		const { element } = $('input', { 'bind:value': state }).build(ctx);
+		state.add({ caller: () => ++cnt });
+		expect(element.value).toBe('a');
+
+		element.value = 'b';
+		dispatch(element, 'input');
+		expect(state.value).toBe('b');
+		scheduler.runAll();
+		// 書き戻しによって再度変更が通知されない
+		expect(cnt).toBe(1);
+
+		state.value = 'c';
+		scheduler.runAll();
+		expect(element.value).toBe('c');
+	});
+
+	it('IMEによる変換中の入力', () => {
+		const { ctx } = createContext();
+		const state = useState(ctx, '');
+		const { element } = $('textarea', { 'bind:value': state }).build(ctx);
+
+		element.value = 'か';
+		element.dispatchEvent(new window.InputEvent('input', { isComposing: true }));
+		expect(state.value).toBe('');
+		dispatch(element, 'compositionend');
+		expect(state.value).toBe('か');
+	});
+
+	it('数値の入力', () => {
+		const { ctx, scheduler } = createContext();
+		const state = useState(ctx, 1);
+		const { element } = $('input', { 'bind:value': state, type: 'number' }).build(ctx);
+		expect(element.value).toBe('1');
+
+		element.value = '12';
+		dispatch(element, 'input');
+		expect(state.value).toBe(12);
+		element.value = '';
+		dispatch(element, 'input');
+		expect(state.value).toBe(null);
+
+		state.value = 3;
+		scheduler.runAll();
+		expect(element.value).toBe('3');
+	});
+
+	it('チェックボックス', () => {
+		const { ctx, scheduler } = createContext();
+		const checked = useState(ctx, true);
+		const list = useState(ctx, ['a']);
+		const { element } = $('div', [
+			$('input', { type: 'checkbox', 'bind:checked': checked }),
+			$('input', { type: 'checkbox', value: 'a', 'bind:group': list }),
+			$('input', { type: 'checkbox', value: 'b', 'bind:group': list })
+		]).build(ctx);
+		const [single, a, b] = element.querySelectorAll('input');
+		expect([single.checked, a.checked, b.checked]).toStrictEqual([true, true, false]);
+
+		single.checked = false;
+		dispatch(single, 'change');
+		expect(checked.value).toBe(false);
+
+		b.checked = true;
+		dispatch(b, 'change');
+		expect(list.value).toStrictEqual(['a', 'b']);
+		a.checked = false;
+		dispatch(a, 'change');
+		expect(list.value).toStrictEqual(['b']);
+
+		list.value = ['a'];
+		scheduler.runAll();
+		expect([a.checked, b.checked]).toStrictEqual([true, false]);
+	});
+
+	it('ラジオボタンのグループ', () => {
+		const { ctx, scheduler } = createContext();
+		const state = useState(ctx, 'b');
+		const { element } = $('div', ['a', 'b', 'c'].map(value => $('input', { type: 'radio', name: 'group', value, 'bind:group': state }))).build(ctx);
+		const radios = [...element.querySelectorAll('input')];
+		expect(radios.map(radio => radio.checked)).toStrictEqual([false, true, false]);
+
+		radios[2].checked = true;
+		dispatch(radios[2], 'change');
+		expect(state.value).toBe('c');
+
+		state.value = 'a';
+		scheduler.runAll();
+		expect(radios.map(radio => radio.checked)).toStrictEqual([true, false, false]);
+	});
+
+	it('select要素', () => {
+		const { ctx, scheduler } = createContext();
+		const single = useState(ctx, 'b');
+		const multiple = useState(ctx, ['a', 'c']);
+		const options = () => ['a', 'b', 'c'].map(value => $('option', { value }, [value]));
+		const { element } = $('div', [
+			$('select', { 'bind:value': single }, options()),
+			$('select', { multiple: true, 'bind:value': multiple }, options())
+		]).build(ctx);
+		// option要素の構築後に反映される
+		scheduler.runAll();
+		const [s1, s2] = element.querySelectorAll('select');
+		expect(s1.value).toBe('b');
+		expect([...s2.selectedOptions].map(option => option.value)).toStrictEqual(['a', 'c']);
+
+		s1.value = 'c';
+		dispatch(s1, 'change');
+		expect(single.value).toBe('c');
+		s2.options[1].selected = true;
+		dispatch(s2, 'change');
+		expect(multiple.value).toStrictEqual(['a', 'b', 'c']);
+
+		multiple.value = ['b'];
+		scheduler.runAll();
+		expect([...s2.selectedOptions].map(option => option.value)).toStrictEqual(['b']);
+	});
+
+	it('contenteditableな要素', () => {
+		const { ctx, scheduler } = createContext();
+		const state = useState(ctx, 'text');
+		const { element } = $('div', { contentEditable: 'true', 'bind:textContent': state }).build(ctx);
+		expect(element.textContent).toBe('text');
+
+		element.textContent = 'edited';
+		dispatch(element, 'input');
+		expect(state.value).toBe('edited');
+
+		state.value = 'next';
+		scheduler.runAll();
+		expect(element.textContent).toBe('next');
+	});
+
+	it('ノードの削除による書き戻しの解除', () => {
+		const { ctx } = createContext();
+		const state = useState(ctx, 'a');
+		const { node, element } = $('input', { 'bind:value': state }).build(ctx);
+		node.remove();
+
+		element.value = 'b';
+		dispatch(element, 'input');
+		dispatch(element, 'compositionend');
+		expect(state.value).toBe('a');
+	});
+
+	it('関連付けできない対象', () => {
+		const ctx = new Context(window);
+		expect(() => $('div', { 'bind:value': useState(ctx, '') }).build(ctx)).toThrow();
+		expect(() => $('input', { 'bind:value': 'text' }).build(ctx)).toThrow();
+	});
+});
@@ -1,5 +1,5 @@
 /** @jest-environment jsdom */
-import { StateContext, State, watch, CommonLabel, Context, StateComponent, NotState, Computed } from "../../src/core.js";
+import { StateContext, State, watch, CommonLabel, Context, StateComponent, NotState, Computed, useComputed, t } from "../../src/core.js";
 import { describe, it, expect } from '@jest/globals';
 
 describe('State', () => {
@@ -296,6 +296,254 @@ describe('State', () => {
 
 	// });
 
+	describe('遅延評価', () => {
+		it('参照されるまで計算されない', () => {
+			const ctx = new StateContext();
+			const state = new State(ctx, 1);
+			let cnt = 0;
+			const computed = useComputed(ctx, () => {
+				++cnt;
+				return state.value * 2;
+			}, { lazy: true });
+
+			// 生成時には計算されない
+			expect(computed.lazy).toBe(true);
+			expect(cnt).toBe(0);
+
+			// 参照の契機で計算される
+			expect(computed.value).toBe(2);
+			expect(cnt).toBe(1);
+			// 依存先が変更されていなければ再計算されない
+			expect(computed.value).toBe(2);
+			expect(cnt).toBe(1);
+
+			// 参照されない間は依存先が何度変更されても再計算されない
+			++state.value;
+			++state.value;
+			expect(cnt).toBe(1);
+			expect(computed.value).toBe(6);
+			expect(cnt).toBe(2);
+		});
+
+		it('呼び出し元が存在する場合の更新の伝播', () => {
+			const reactiveCall = 1;
+			/** @type { { idx: number; state: number; }[] } 呼び出し順序を記録するシーケンス */
+			const seq = [];
+
+			const ctx = new StateContext();
+			const state = new State(ctx, 1);
+			let cnt = 0;
+			const computed = useComputed(ctx, () => {
+				++cnt;
+				return state.value % 2;
+			}, { lazy: true });
+
+			// computedが変更されたときに呼びだされる関数を設定
+			watch(ctx, computed, (prev, next) => {
+				seq.push({ idx: reactiveCall, state: next });
+			});
+			expect(cnt).toBe(1);
+
+			// 呼び出し元が存在するため即時に再計算されて伝播される
+			++state.value;
+			expect(cnt).toBe(2);
+			expect(seq).toStrictEqual([
+				{ idx: reactiveCall, state: 0 },
+			]);
+
+			// 計算結果が変化しない場合は伝播されない
+			state.value += 2;
+			expect(cnt).toBe(3);
+			expect(seq).toStrictEqual([
+				{ idx: reactiveCall, state: 0 },
+			]);
+		});
+
+		it('複数の監視対象に含まれる場合の更新の伝播', () => {
+			const ctx = new StateContext();
+			const state = new State(ctx, 1);
+			const other = new State(ctx, 'a');
+			let cnt = 0;
+			const computed = useComputed(ctx, () => {
+				++cnt;
+				return state.value * 2;
+			}, { lazy: true });
+			/** @type { number[] } */
+			const seq = [];
+			// 一度も参照されていない場合も監視の開始時に依存先を収集する
+			watch(ctx, [computed, other], () => seq.push(computed.value));
+			expect(cnt).toBe(1);
+
+			++state.value;
+			expect(seq).toStrictEqual([4]);
+			expect(cnt).toBe(2);
+		});
+
+		it('遅延評価を行う算出プロパティの連鎖', () => {
+			const ctx = new StateContext();
+			const state = new State(ctx, 1);
+			const computed1 = useComputed(ctx, () => state.value + 1, { lazy: true });
+			const computed2 = useComputed(ctx, () => computed1.value * 10, { lazy: true });
+			const text = t`value: ${computed2}`;
+
+			expect(text.value).toBe('value: 20');
+			++state.value;
+			expect(computed1.value).toBe(3);
+			expect(text.value).toBe('value: 30');
+		});
+
+		it('観測による単方向関連付け', () => {
+			const ctx = new StateContext();
+			const state1 = new State(ctx, 1);
+			const computed = useComputed(ctx, () => state1.value * 2, { lazy: true });
+			const { state: state2 } = computed.observe(ctx);
+
+			expect(state2.org).toBe(2);
+			++state1.value;
+			expect(state2.org).toBe(4);
+		});
+	});
+
+	describe('同値性の判定', () => {
+		it('再計算の結果が同値の場合は伝播しない', () => {
+			const ctx = new StateContext();
+			const state = new State(ctx, [1, 2, 3]);
+			const computed = useComputed(ctx, () => state.value.filter(v => v % 2 === 1), { equals: 'shallow' });
+			let cnt = 0;
+			watch(ctx, computed, () => ++cnt);
+
+			expect(computed.value).toStrictEqual([1, 3]);
+			state.value = [1, 3, 4];
+			expect(cnt).toBe(0);
+			state.value = [1, 3, 5];
+			expect(cnt).toBe(1);
+			expect(computed.value).toStrictEqual([1, 3, 5]);
+		});
+
+		it('遅延評価を行う算出プロパティの再計算の結果が同値の場合は伝播しない', () => {
+			const ctx = new StateContext();
+			const state = new State(ctx, { a: 1, b: 1 });
+			const computed = useComputed(ctx, () => ({ a: state.value.a }), { lazy: true, equals: 'deep' });
+			let cnt = 0;
+			watch(ctx, computed, () => ++cnt);
+
+			state.value = { a: 1, b: 2 };
+			expect(cnt).toBe(0);
+			state.value = { a: 2, b: 2 };
+			expect(cnt).toBe(1);
+			expect(computed.value).toStrictEqual({ a: 2 });
+		});
+	});
+
+	describe('依存関係の高さの順序による伝播', () => {
+		it('菱形の依存関係', () => {
+			/** @type { { a: number; b: number; sum: number; }[] } 呼び出し順序を記録するシーケンス */
+			const seq = [];
+
+			const ctx = new StateContext();
+			const state = new State(ctx, 1);
+			const cnt = { a: 0, b: 0, sum: 0 };
+			const computedA = new Computed(ctx, () => {
+				++cnt.a;
+				return state.value * 2;
+			});
+			const computedB = new Computed(ctx, () => {
+				++cnt.b;
+				return state.value * 3;
+			});
+			const computedSum = new Computed(ctx, () => {
+				++cnt.sum;
+				const a = computedA.value;
+				const b = computedB.value;
+				seq.push({ a, b, sum: a + b });
+				return a + b;
+			});
+			const watchSeq = [];
+			watch(ctx, computedSum, (prev, next) => watchSeq.push(next));
+
+			expect(computedSum.value).toBe(5);
+			expect(cnt).toStrictEqual({ a: 1, b: 1, sum: 1 });
+
+			// 合流先は依存先が全て更新された後に1度のみ評価される
+			state.value = 2;
+			expect(computedSum.value).toBe(10);
+			expect(cnt).toStrictEqual({ a: 2, b: 2, sum: 2 });
+			expect(seq).toStrictEqual([
+				{ a: 2, b: 3, sum: 5 },
+				{ a: 4, b: 6, sum: 10 },
+			]);
+			expect(watchSeq).toStrictEqual([10]);
+		});
+
+		it('深さの異なる依存関係の合流', () => {
+			/** @type { { head: number; tail: number; }[] } 呼び出し順序を記録するシーケンス */
+			const seq = [];
+
+			const ctx = new StateContext();
+			const state = new State(ctx, 1);
+			// state -> chain[0] -> ... -> chain[4]
+			/** @type { Computed<number>[] } */
+			const chain = [];
+			for (let i = 0; i < 5; ++i) {
+				const prev = i === 0 ? state : chain[i - 1];
+				chain.push(new Computed(ctx, () => prev.value + 1));
+			}
+			let cnt = 0;
+			// 浅い依存先と深い依存先を合流させる
+			ctx.call({
+				caller: () => {
+					++cnt;
+					seq.push({ head: state.value, tail: chain[4].value });
+				}
+			});
+			expect(cnt).toBe(1);
+
+			state.value = 10;
+			expect(cnt).toBe(2);
+			// 不整合な組み合わせの値が観測されない
+			expect(seq).toStrictEqual([
+				{ head: 1, tail: 6 },
+				{ head: 10, tail: 15 },
+			]);
+		});
+
+		it('遅延評価を行う算出プロパティを含む菱形の依存関係', () => {
+			const ctx = new StateContext();
+			const state = new State(ctx, 1);
+			const computedA = useComputed(ctx, () => state.value + 1, { lazy: true });
+			const computedB = new Computed(ctx, () => state.value * 10);
+			let cnt = 0;
+			const text = t`${computedA}:${computedB}`;
+			watch(ctx, text, () => ++cnt);
+
+			expect(text.value).toBe('2:10');
+			++state.value;
+			expect(text.value).toBe('3:20');
+			expect(cnt).toBe(1);
+		});
+
+		it('評価中に変更した状態変数から算出される値の参照', () => {
+			const ctx = new StateContext();
+			const trigger = new State(ctx, 0);
+			/** @type { number[] } */
+			const seq = [];
+			const body = () => {
+				const state = new State(ctx, 1);
+				const computed = useComputed(ctx, () => state.value * 2);
+				const lazy = useComputed(ctx, () => computed.value + 1, { lazy: true });
+				lazy.value;
+				state.value = 5;
+				seq.push(computed.value, lazy.value);
+			};
+
+			// ウォッチャー内でも直接呼び出した場合と同じく変更後の値となる
+			body();
+			watch(ctx, trigger, body);
+			trigger.value = 1;
+			expect(seq).toStrictEqual([10, 11, 10, 11]);
+		});
+	});
+
 	it('単方向関連付け', () => {
 		const ctx = new StateContext();
 		const state1 = new State(ctx, 100);
@@ -0,0 +1,93 @@
+/** @jest-environment jsdom */
+import { StateContext, State, Context, StateComponent, watch, useComputed, useAsyncComputed, effectScope, $, t } from "../../src/core.js";
+import { describe, it, expect } from '@jest/globals';
+
+describe('EffectScope', () => {
+	it('スコープ内で生成された呼び出し元の破棄', () => {
+		const ctx = new StateContext();
+		const state = new State(ctx, 1);
+		let watchCnt = 0;
+		/** @type { import("../../src/core.js").Computed<number> } */
+		let computed;
+		/** @type { import("../../src/core.js").Computed<number> } */
+		let lazyComputed;
+		const dest = new State(ctx, 0);
+
+		const scope = effectScope(() => {
+			watch(ctx, state, () => ++watchCnt);
+			computed = useComputed(ctx, () => state.value * 2);
+			lazyComputed = useComputed(ctx, () => state.value * 3, { lazy: true });
+			lazyComputed.value;
+			ctx.unidirectional(() => state.value + 1, dest);
+			useAsyncComputed(ctx, async () => state.value);
+		});
+		expect(scope.active).toBe(true);
+		expect(state.callerCount).toBe(5);
+
+		++state.value;
+		expect(watchCnt).toBe(1);
+		expect(computed.value).toBe(4);
+		expect(dest.value).toBe(3);
+
+		// スコープの停止により全ての呼び出し元が破棄される
+		scope.stop();
+		expect(scope.active).toBe(false);
+		expect(state.callerCount).toBe(0);
+		++state.value;
+		expect(watchCnt).toBe(1);
+		expect(computed.value).toBe(4);
+		expect(dest.value).toBe(3);
+	});
+
+	it('ネストしたスコープの破棄', () => {
+		const ctx = new StateContext();
+		const state = new State(ctx, 1);
+		let cnt = 0;
+
+		/** @type { import("../../src/core.js").EffectScope } */
+		let inner;
+		const outer = effectScope(() => {
+			inner = effectScope(() => watch(ctx, state, () => ++cnt));
+		});
+
+		// 外側のスコープの停止に連動して内側のスコープも停止する
+		outer.stop();
+		expect(inner.active).toBe(false);
+		++state.value;
+		expect(cnt).toBe(0);
+
+		// 停止済みのスコープで生成された呼び出し元は即時に破棄される
+		outer.run(() => watch(ctx, state, () => ++cnt));
+		++state.value;
+		expect(cnt).toBe(0);
+	});
+
+	it('コンポーネントの削除による破棄', () => {
+		const ctx = new Context(window);
+		const state = new State(ctx.state, 1);
+		let cnt = 0;
+
+		/**
+		 * テスト用のコンポーネント
+		 * @param { Context } ctx
+		 */
+		function Component(ctx) {
+			watch(ctx, state, () => ++cnt);
+			const computed = useComputed(ctx, () => state.value * 2);
+			return $('div', [t`${computed}`]);
+		}
+
+		const { node } = $(Component).build(ctx);
+		expect(node).toBeInstanceOf(StateComponent);
+		expect(node.element.textContent).toBe('2');
+		++state.value;
+		expect(cnt).toBe(1);
+
+		// コンポーネントを示す関数内で生成された呼び出し元も破棄される
+		node.remove();
+		expect(node.scope.active).toBe(false);
+		expect(state.callerCount).toBe(0);
+		++state.value;
+		expect(cnt).toBe(1);
+	});
+});
@@ -0,0 +1,81 @@
+/** @jest-environment jsdom */
+import { Context, useState, $ } from "../../src/core.js";
+import { describe, it, expect } from '@jest/globals';
+
+describe('イベントリスナ', () => {
+	it('複数のリスナの登録と削除時の解除', () => {
+		const ctx = new Context(window);
+		/** @type { string[] } */
+		const called = [];
+		const { node, element } = $('div', {
+			'on:click': () => called.push('a'),
+			'on:click|once': () => called.push('b'),
+			'on:custom-event': e => called.push(e.detail)
+		}).build(ctx);
+
+		element.click();
+		element.click();
+		element.dispatchEvent(new window.CustomEvent('custom-event', { detail: 'c' }));
+		expect(called).toStrictEqual(['a', 'b', 'a', 'c']);
+
+		// ノードの削除後は呼び出されない
+		node.remove();
+		element.click();
+		expect(called).toStrictEqual(['a', 'b', 'a', 'c']);
+	});
+
+	it('修飾子の適用', () => {
+		const ctx = new Context(window);
+		/** @type { string[] } */
+		const called = [];
+		const { element } = $('div', {
+			'on:click|self|prevent': () => called.push('self'),
+			'on:keydown|enter|esc': e => called.push(e.key),
+			'on:keydown|ctrl|space': () => called.push('ctrl+space')
+		}, [$('span')]).build(ctx);
+
+		const click = new window.MouseEvent('click', { bubbles: true, cancelable: true });
+		element.firstChild.dispatchEvent(click);
+		expect(click.defaultPrevented).toBe(false);
+		const selfClick = new window.MouseEvent('click', { bubbles: true, cancelable: true });
+		element.dispatchEvent(selfClick);
+		expect(selfClick.defaultPrevented).toBe(true);
+
+		for (const init of [{ key: 'Enter' }, { key: 'a' }, { key: 'Escape' }, { key: ' ' }, { key: ' ', ctrlKey: true }]) {
+			element.dispatchEvent(new window.KeyboardEvent('keydown', init));
+		}
+		expect(called).toStrictEqual(['self', 'Enter', 'Escape', 'ctrl+space']);
+
+		expect(() => $('div', { 'on:click|unknown': () => {} }).build(ctx)).toThrow(`Unknown event modifier 'unknown' in 'on:click|unknown'.`);
+	});
+
+	it('状態変数によるイベントハンドラ', () => {
+		const ctx = new Context(window);
+		/** @type { string[] } */
+		const called = [];
+		const handler = useState(ctx, () => called.push('a'));
+		const { element } = $('button', { 'on:click': handler }).build(ctx);
+		element.click();
+		handler.value = () => called.push('b');
+		element.click();
+		handler.value = undefined;
+		element.click();
+		expect(called).toStrictEqual(['a', 'b']);
+	});
+
+	it('コンポーネントへのエラーの伝播', () => {
+		const ctx = new Context(window);
+		/** @type { string[] } */
+		const errors = [];
+		/**
+		 * @param { Context } ctx
+		 */
+		function App(ctx) {
+			ctx.onErrorCaptured(error => { errors.push(error.message); return false; });
+			return $('button', { 'on:click': () => { throw new Error('failed'); } });
+		}
+		const { element } = $(App).build(ctx);
+		element.click();
+		expect(errors).toStrictEqual(['failed']);
+	});
+});
@@ -0,0 +1,206 @@
+/** @jest-environment jsdom */
+import { Context, useState, useReactive, $ } from "../../src/core.js";
+import { ForEach } from "../../sample/lib/ForEach.js";
+import { useList, getListPatches } from "../../sample/lib/useList.js";
+import { describe, it, expect } from '@jest/globals';
+
+describe('useList', () => {
+	it('操作のパッチの記録', () => {
+		const ctx = new Context(window);
+		const list = useList(ctx, ['a', 'b', 'c']);
+		const prev = list.org;
+		list.push('d');
+		list.insert(0, 'z');
+		list.remove(1);
+		list.move(0, 2);
+		expect(list.splice(0, 1, 'x', 'y')).toStrictEqual(['b']);
+		list.set(0, 'w');
+		expect(list.value).toStrictEqual(['w', 'y', 'c', 'z', 'd']);
+		expect(getListPatches(prev, list.org)).toStrictEqual([
+			{ type: 'insert', index: 3, items: ['d'] },
+			{ type: 'insert', index: 0, items: ['z'] },
+			{ type: 'remove', index: 1, count: 1 },
+			{ type: 'move', from: 0, to: 2 },
+			{ type: 'remove', index: 0, count: 1 },
+			{ type: 'insert', index: 0, items: ['x', 'y'] },
+			{ type: 'set', index: 0, item: 'w' }
+		]);
+
+		// 配列全体を置き換えた場合はパッチで表現できない
+		const current = list.org;
+		list.value = ['a'];
+		expect(getListPatches(current, list.org)).toBe(undefined);
+	});
+
+	it('範囲外の位置の操作', () => {
+		const ctx = new Context(window);
+		const list = useList(ctx, ['a', 'b']);
+		const prev = list.org;
+		// 既存の要素を指す必要のある操作は例外を送出する
+		expect(() => list.set(2, 'c')).toThrow('Index 2 is out of range (length: 2).');
+		expect(() => list.move(0, 2)).toThrow('Index 2 is out of range (length: 2).');
+		expect(() => list.move(-1, 0)).toThrow('Index -1 is out of range (length: 2).');
+		expect(list.org).toBe(prev);
+
+		// 挿入と削除の位置は範囲内に丸める
+		list.insert(5, 'c');
+		list.insert(-1, 'd');
+		list.remove(10);
+		expect(list.splice(-1, 1)).toStrictEqual(['c']);
+		expect(list.value).toStrictEqual(['a', 'b', 'd']);
+		expect(getListPatches(prev, list.org)).toStrictEqual([
+			{ type: 'insert', index: 2, items: ['c'] },
+			{ type: 'insert', index: 2, items: ['d'] },
+			{ type: 'remove', index: 3, count: 1 }
+		]);
+	});
+});
+
+describe('ForEach', () => {
+	/**
+	 * リストを描画する
+	 * @param { { key?: (v: { id: number }) => unknown } } props ForEachに追加するプロパティ
+	 * @param { { id: number }[] } init リストの初期値
+	 */
+	function render(props, init) {
+		const ctx = new Context(window);
+		const list = useList(ctx, init);
+		let genCount = 0;
+		const { element } = $('ul', [
+			$(ForEach, { target: list, ...props }, (v, key) => {
+				++genCount;
+				return [$('li', [`${key}:${v.id}`])];
+			})
+		]).build(ctx);
+		/**
+		 * 更新を反映する
+		 */
+		const flush = async () => {
+			ctx.flushSync();
+			await new Promise(resolve => setTimeout(resolve));
+		};
+		return { ctx, list, element, flush, text: () => element.textContent, items: () => [...element.children], gen: () => genCount };
+	}
+
+	it('キーを指定した場合は操作された要素のみを更新する', async () => {
+		const { list, flush, text, items, gen } = render({ key: v => v.id }, [{ id: 1 }, { id: 2 }, { id: 3 }]);
+		await flush();
+		expect(text()).toBe('1:12:23:3');
+		const [li1, li2, li3] = items();
+
+		list.insert(1, { id: 4 });
+		await flush();
+		expect(text()).toBe('1:14:42:23:3');
+		expect(gen()).toBe(4);
+
+		list.remove(0);
+		await flush();
+		expect(text()).toBe('4:42:23:3');
+		expect(li1.isConnected).toBe(false);
+
+		list.move(2, 0);
+		await flush();
+		expect(text()).toBe('3:34:42:2');
+		expect(items()[0]).toBe(li3);
+		expect(items()[2]).toBe(li2);
+
+		// キーが同じ場合はノードを再利用する
+		list.set(0, { id: 3 });
+		await flush();
+		expect(gen()).toBe(4);
+		list.set(0, { id: 5 });
+		await flush();
+		expect(text()).toBe('5:54:42:2');
+		expect(li3.isConnected).toBe(false);
+		expect(gen()).toBe(5);
+
+		// 同一の更新内で挿入と削除が行われた要素は挿入しない
+		list.push({ id: 6 });
+		list.remove(3);
+		list.push({ id: 7 });
+		await flush();
+		expect(text()).toBe('5:54:42:27:7');
+		expect(items()[2]).toBe(li2);
+
+		// 配列全体が置き換えられた場合はキーの差分をとる
+		list.value = [{ id: 2 }, { id: 8 }];
+		await flush();
+		expect(text()).toBe('2:28:8');
+		expect(items()[0]).toBe(li2);
+	});
+
+	it('反映に失敗した場合のロックの解除と後続の操作の反映', async () => {
+		const { ctx, list, flush, text } = render({ key: v => v.id }, [{ id: 1 }, { id: 2 }]);
+		await flush();
+
+		// キーの重複により反映に失敗しても副作用のラベルのロックは解除される
+		expect(() => list.push({ id: 1 })).toThrow('Key 1 is duplicated.');
+		await flush();
+		expect(ctx.state.locked(ctx.sideEffectLabel)).toBe(false);
+		expect(text()).toBe('1:12:2');
+
+		// 後続の操作は反映済みの表示対象を起点として反映される
+		list.remove(2);
+		list.push({ id: 3 });
+		await flush();
+		expect(text()).toBe('1:12:23:3');
+	});
+
+	it('キーを指定しない場合はインデックスをキーとして構築し直す', async () => {
+		const { list, flush, text } = render({}, [{ id: 1 }, { id: 2 }]);
+		await flush();
+		expect(text()).toBe('0:11:2');
+
+		list.insert(0, { id: 0 });
+		await flush();
+		expect(text()).toBe('0:01:12:2');
+
+		list.remove(1);
+		await flush();
+		expect(text()).toBe('0:01:2');
+
+		list.move(0, 1);
+		await flush();
+		expect(text()).toBe('0:21:0');
+
+		list.set(1, { id: 3 });
+		await flush();
+		expect(text()).toBe('0:21:3');
+	});
+
+	it('リアクティブな配列への差し替えと削除時の監視の解除', async () => {
+		const ctx = new Context(window);
+		// 要素の参照の回数で監視の有無を確認する
+		let reads = 0;
+		const raw = ['a', 'b'];
+		Object.defineProperty(raw, 0, { get: () => (++reads, 'a'), enumerable: true, configurable: true });
+		const items = useReactive(ctx, raw);
+		const target = useState(ctx, ['x']);
+		/** @type { State<StateNodeSet | undefined> } */
+		const set = useState(ctx, undefined);
+		const { element } = $('ul', [
+			$(ForEach, { target }, v => [$('li', [v])]).ref({ set })
+		]).build(ctx);
+		const flush = async () => {
+			ctx.flushSync();
+			await new Promise(resolve => setTimeout(resolve));
+		};
+		await flush();
+		expect(element.textContent).toBe('x');
+
+		// 構築後にリアクティブな配列に差し替えた場合も要素の変更を監視する
+		target.value = items;
+		await flush();
+		expect(element.textContent).toBe('ab');
+		items.push('c');
+		await flush();
+		expect(element.textContent).toBe('abc');
+
+		// 削除後は監視を解除する
+		set.value.remove();
+		const count = reads;
+		items.push('d');
+		await flush();
+		expect(reads).toBe(count);
+	});
+});
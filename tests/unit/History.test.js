@@ -0,0 +1,94 @@
+/** @jest-environment jsdom */
+import { Context, ManualScheduler, useState, $ } from "../../src/core.js";
+import { useHistory } from "../../sample/lib/useHistory.js";
+import { describe, it, expect } from '@jest/globals';
+
+/**
+ * 履歴を記録するコンポーネントを構築する
+ * @param { import("../../sample/lib/useHistory.js").HistoryOptions } options 履歴のオプション
+ */
+function mountHistory(options = {}) {
+	const scheduler = new ManualScheduler();
+	const ctx = new Context(window, undefined, undefined, undefined, { scheduler });
+	/** @type { { state: State<number>; history: HistoryType<number> } } */
+	const ret = {};
+	/**
+	 * @param { Context } ctx
+	 */
+	function App(ctx) {
+		ret.state = useState(ctx, 0);
+		ret.history = useHistory(ctx, ret.state, options);
+		return $('div');
+	}
+	const { node } = $(App).build(ctx);
+	return { ...ret, ctx, scheduler, unmount: () => ctx.flushSync(() => node.remove()) };
+}
+
+describe('useHistory', () => {
+	it('元に戻すとやり直し', () => {
+		const { state, history } = mountHistory();
+		state.value = 1;
+		state.value = 2;
+		expect(history.history.value).toStrictEqual([0, 1, 2]);
+		expect(history.canRedo.value).toBe(false);
+
+		history.undo();
+		history.undo();
+		expect(state.value).toBe(0);
+		expect(history.canUndo.value).toBe(false);
+		expect(history.canRedo.value).toBe(true);
+		history.redo();
+		expect(state.value).toBe(1);
+
+		// 戻した状態からの変更はやり直しの履歴を破棄する
+		state.value = 3;
+		expect(history.history.value).toStrictEqual([0, 1, 3]);
+		expect(history.canRedo.value).toBe(false);
+
+		history.clear();
+		expect(history.history.value).toStrictEqual([3]);
+		expect(history.canUndo.value).toBe(false);
+	});
+
+	it('容量を超えた履歴の破棄', () => {
+		const { state, history } = mountHistory({ capacity: 2 });
+		for (let i = 1; i <= 4; ++i) {
+			state.value = i;
+		}
+		expect(history.history.value).toStrictEqual([2, 3, 4]);
+		history.undo();
+		history.undo();
+		history.undo();
+		expect(state.value).toBe(2);
+	});
+
+	it('指定時間内の変更の集約', () => {
+		const { state, history, scheduler, unmount } = mountHistory({ debounce: 100 });
+		state.value = 1;
+		scheduler.advance(50);
+		state.value = 2;
+		scheduler.advance(50);
+		state.value = 3;
+		expect(history.history.value).toStrictEqual([0, 3]);
+
+		// 期間の経過後の変更は新たな履歴となる
+		scheduler.advance(100);
+		state.value = 4;
+		expect(history.history.value).toStrictEqual([0, 3, 4]);
+
+		// アンマウント時にタイマーを解除する
+		unmount();
+		expect(scheduler.pending).toBe(0);
+	});
+
+	it('同一のタスク内の変更の集約', () => {
+		const { state, history, scheduler } = mountHistory({ batch: true });
+		state.value = 1;
+		state.value = 2;
+		expect(history.history.value).toStrictEqual([0, 2]);
+
+		scheduler.runMicrotasks();
+		state.value = 3;
+		expect(history.history.value).toStrictEqual([0, 2, 3]);
+	});
+});
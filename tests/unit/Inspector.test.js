@@ -0,0 +1,80 @@
+/** @jest-environment jsdom */
+import { Context, StateContext, State, useState, useComputed, watch, inspect, $, t } from "../../src/core.js";
+import { describe, it, expect } from '@jest/globals';
+
+describe('依存関係の検査', () => {
+	it('状態変数と呼び出し元のグラフ', () => {
+		const ctx = new StateContext();
+		const state = new State(ctx, 1);
+		const computed = useComputed(ctx, () => state.value * 2);
+		watch(ctx, computed, () => {});
+
+		const graph = inspect(undefined, [state]);
+		expect(graph.toJSON()).toStrictEqual({
+			nodes: [
+				{ id: 'n0', type: 'state', label: 'state', subscribers: 1 },
+				{ id: 'n1', type: 'computed', label: 'computed', subscribers: 1 },
+				{ id: 'n2', type: 'watch', label: 'watch' },
+			],
+			edges: [
+				{ from: 'n0', to: 'n1', kind: 'computed' },
+				{ from: 'n1', to: 'n2', kind: 'watch' },
+			]
+		});
+		expect(graph.toDOT()).toBe([
+			'digraph "dependencies" {',
+			'\tn0 [label="state\\n(1)", shape=ellipse];',
+			'\tn1 [label="computed\\n(1)", shape=diamond];',
+			'\tn2 [label="watch", shape=hexagon];',
+			'\tn0 -> n1 [label="computed"];',
+			'\tn1 -> n2 [label="watch"];',
+			'}'
+		].join('\n'));
+	});
+
+	it('コンポーネントとDOMの更新を含むグラフ', () => {
+		/**
+		 * 子コンポーネント
+		 * @param { Context } ctx
+		 * @param { { value: import("../../src/core.js").IState<number> } } props
+		 */
+		function Child(ctx, props) {
+			return $('span', { title: props.value }, [t`${props.value}`]);
+		}
+		Child.propTypes = { value: 0 };
+
+		/**
+		 * 親コンポーネント
+		 * @param { Context } ctx
+		 */
+		function Parent(ctx) {
+			const cnt = useState(ctx, 0);
+			return $('div', [$(Child, { value: cnt })]);
+		}
+
+		const ctx = new Context(window, undefined, undefined, undefined, { trackStates: true });
+		const { node } = $(Parent).build(ctx);
+		const graph = inspect(ctx).toJSON();
+		expect(graph.nodes).toStrictEqual([
+			{ id: 'n0', type: 'component', label: 'Parent (/0)' },
+			{ id: 'n1', type: 'state', label: '/0[0]', subscribers: 1 },
+			{ id: 'n2', type: 'component', label: 'Child (/0/0)' },
+			{ id: 'n3', type: 'state', label: 'state', subscribers: 2 },
+			{ id: 'n4', type: 'computed', label: 'computed', subscribers: 1 },
+			{ id: 'n5', type: 'dom', label: 'span.title' },
+			{ id: 'n6', type: 'dom', label: '#text' },
+		]);
+		expect(graph.edges).toStrictEqual([
+			{ from: 'n0', to: 'n1', kind: 'owns' },
+			{ from: 'n0', to: 'n2', kind: 'child' },
+			{ from: 'n1', to: 'n3', kind: 'unidirectional' },
+			{ from: 'n3', to: 'n4', kind: 'computed' },
+			{ from: 'n3', to: 'n5', kind: 'dom' },
+			{ from: 'n4', to: 'n6', kind: 'dom' },
+		]);
+
+		// 削除したコンポーネントは含まれない
+		node.remove();
+		expect(inspect(ctx).toJSON()).toStrictEqual({ nodes: [], edges: [] });
+	});
+});
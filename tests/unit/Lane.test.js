@@ -0,0 +1,90 @@
+/** @jest-environment jsdom */
+import { Context, ManualScheduler, useState, withLane, $, t } from "../../src/core.js";
+import { describe, it, expect } from '@jest/globals';
+
+describe('DOM更新の優先度', () => {
+	/**
+	 * 手動でタスクを実行するスケジューラを用いたコンテキストの生成
+	 */
+	function createContext() {
+		const scheduler = new ManualScheduler();
+		return { ctx: new Context(window, undefined, undefined, undefined, { scheduler }), scheduler };
+	}
+
+	it('プロパティ単位の優先度の指定', () => {
+		const { ctx, scheduler } = createContext();
+		const state = useState(ctx, 'a');
+		const { element } = $('div', {
+			title: withLane(state, 'animationFrame'),
+			className: withLane(state, 'idle'),
+			id: withLane(state, 'sync'),
+			lang: state
+		}).build(ctx);
+		expect(element.title).toBe('a');
+
+		state.value = 'b';
+		// syncは即時に更新される
+		expect(element.id).toBe('b');
+		expect(element.lang).toBe('a');
+		scheduler.runMicrotasks();
+		expect(element.lang).toBe('b');
+		expect(element.title).toBe('a');
+		expect(element.className).toBe('a');
+
+		// 優先度ごとに1度のみスケジュールされる
+		state.value = 'c';
+		expect(scheduler.pending).toBe(3);
+		scheduler.runFrame();
+		expect(element.title).toBe('c');
+		expect(element.className).toBe('a');
+		scheduler.runIdle();
+		expect(element.className).toBe('c');
+	});
+
+	it('コンポーネント単位の優先度の指定', () => {
+		const { ctx, scheduler } = createContext();
+		const state = useState(ctx, 0);
+
+		/**
+		 * 子コンポーネント
+		 * @param { Context } ctx
+		 */
+		function Child(ctx) {
+			return $('span', [t`${state}`]);
+		}
+
+		/**
+		 * 優先度を指定したコンポーネント
+		 * @param { Context } ctx
+		 */
+		function Background(ctx) {
+			return $('div', [t`${state}`, $(Child)]);
+		}
+		Background.lane = 'idle';
+
+		/**
+		 * コンポーネント内で優先度を指定したコンポーネント
+		 * @param { Context } ctx
+		 */
+		function Animation(ctx) {
+			ctx.lane = 'animationFrame';
+			return $('p', [t`${state}`]);
+		}
+
+		const { element } = $('div', [$(Background), $(Animation)]).build(ctx);
+		++state.value;
+		scheduler.runMicrotasks();
+		expect(element.textContent).toBe('000');
+
+		// 子孫のコンポーネントにも継承される
+		scheduler.runIdle();
+		expect(element.textContent).toBe('110');
+		scheduler.runFrame();
+		expect(element.textContent).toBe('111');
+	});
+
+	it('不明な優先度の指定', () => {
+		expect(() => withLane(0, 'unknown')).toThrow();
+		expect(() => new Context(window).lane = 'unknown').toThrow();
+	});
+});
@@ -0,0 +1,101 @@
+/** @jest-environment jsdom */
+import { Context, State, registerObserver, $ } from "../../src/core.js";
+import { describe, it, expect } from '@jest/globals';
+
+describe('要素の状態の観測', () => {
+	it('入力要素の値', () => {
+		const ctx = new Context(window);
+		const value = new State(ctx.state, '');
+		const { element } = $('input', { value: 'init' }).observe({ value }).build(ctx);
+		expect(value.value).toBe('init');
+
+		element.value = 'next';
+		element.dispatchEvent(new window.Event('input'));
+		expect(value.value).toBe('next');
+	});
+
+	it('要素のサイズ', () => {
+		const ctx = new Context(window);
+		const clientHeight = new State(ctx.state, -1);
+		const clientWidth = new State(ctx.state, -1);
+		$('div').observe({ clientHeight, clientWidth }).build(ctx);
+		expect(clientHeight.value).toBe(0);
+		expect(clientWidth.value).toBe(0);
+	});
+
+	it('フォーカス、ホバーおよびスクロールの状態', () => {
+		const ctx = new Context(window);
+		const focused = new State(ctx.state, undefined);
+		const hovered = new State(ctx.state, undefined);
+		const scrollTop = new State(ctx.state, undefined);
+		const { element } = $('button').observe({ focused, hovered, scrollTop }).build(ctx);
+		document.body.appendChild(element);
+		expect([focused.value, hovered.value, scrollTop.value]).toStrictEqual([false, false, 0]);
+
+		element.focus();
+		expect(focused.value).toBe(true);
+		element.blur();
+		expect(focused.value).toBe(false);
+		element.dispatchEvent(new window.MouseEvent('mouseenter'));
+		expect(hovered.value).toBe(true);
+		element.dispatchEvent(new window.MouseEvent('mouseleave'));
+		expect(hovered.value).toBe(false);
+		element.scrollTop = 10;
+		element.dispatchEvent(new window.Event('scroll'));
+		expect(scrollTop.value).toBe(10);
+		element.remove();
+	});
+
+	it('属性', async () => {
+		const ctx = new Context(window);
+		const state = new State(ctx.state, undefined);
+		const { node, element } = $('div', { 'data-state': 'a' }).observe({ 'attr:data-state': state }).build(ctx);
+		expect(state.value).toBe('a');
+
+		element.setAttribute('data-state', 'b');
+		await Promise.resolve();
+		expect(state.value).toBe('b');
+
+		// ノードの削除により監視が解除される
+		node.remove();
+		element.setAttribute('data-state', 'c');
+		await Promise.resolve();
+		expect(state.value).toBe('b');
+	});
+
+	it('観測の方法の登録', () => {
+		const ctx = new Context(window);
+		const state = new State(ctx.state, undefined);
+		let disposed = false;
+		const unregister = registerObserver({
+			targets: ['open'],
+			match: element => element.tagName.toLowerCase() === 'x-dialog',
+			read: element => element.hasAttribute('open'),
+			observe: (element, notify) => {
+				const listener = e => notify({ open: e.detail });
+				element.addEventListener('toggle', listener);
+				return () => {
+					disposed = true;
+					element.removeEventListener('toggle', listener);
+				};
+			}
+		});
+
+		try {
+			const { node, element } = $('x-dialog', { open: 'open' }).observe({ open: state }).build(ctx);
+			expect(state.value).toBe(true);
+			element.dispatchEvent(new window.CustomEvent('toggle', { detail: false }));
+			expect(state.value).toBe(false);
+			node.remove();
+			expect(disposed).toBe(true);
+		}
+		finally {
+			unregister();
+		}
+
+		// 登録の解除後は観測されない
+		const state2 = new State(ctx.state, undefined);
+		$('x-dialog').observe({ open: state2 }).build(ctx);
+		expect(state2.value).toBe(undefined);
+	});
+});
@@ -0,0 +1,68 @@
+/** @jest-environment jsdom */
+import { Context, $ } from "../../src/core.js";
+import { usePersistentState } from "../../sample/lib/usePersistentState.js";
+import { describe, it, expect, jest, afterEach } from '@jest/globals';
+
+/**
+ * 永続化する状態変数を宣言するコンポーネントを構築する
+ * @template T
+ * @param { (ctx: Context) => T } f コンポーネント内で実行する関数
+ */
+function mountState(f) {
+	const ctx = new Context(window);
+	/** @type { { result: T | undefined } } */
+	const ret = { result: undefined };
+	/**
+	 * @param { Context } ctx
+	 */
+	function App(ctx) {
+		ret.result = f(ctx);
+		return $('div');
+	}
+	const { node } = $(App).build(ctx);
+	return { ctx, ret, unmount: () => ctx.flushSync(() => node.remove()) };
+}
+
+describe('usePersistentState', () => {
+	afterEach(() => {
+		localStorage.clear();
+	});
+
+	it('ストレージへの保存と復元', () => {
+		localStorage.setItem('count', JSON.stringify({ version: 0, value: 3 }));
+		const { ret } = mountState(ctx => usePersistentState(ctx, 'count', 0));
+		expect(ret.result.value).toBe(3);
+		ret.result.value = 4;
+		expect(JSON.parse(localStorage.getItem('count'))).toStrictEqual({ version: 0, value: 4 });
+
+		// バージョンが異なる場合は移行する
+		const migrated = mountState(ctx => usePersistentState(ctx, 'count', 0, { version: 1, migrate: (value, version) => `${version}:${value}` }));
+		expect(migrated.ret.result.value).toBe('0:4');
+	});
+
+	it('他のタブでの変更の反映とアンマウント時の解除', () => {
+		const { ret, unmount } = mountState(ctx => usePersistentState(ctx, 'count', 0));
+		window.dispatchEvent(new StorageEvent('storage', { key: 'count', newValue: JSON.stringify({ version: 0, value: 5 }), storageArea: localStorage }));
+		expect(ret.result.value).toBe(5);
+		window.dispatchEvent(new StorageEvent('storage', { key: null, storageArea: localStorage }));
+		expect(ret.result.value).toBe(0);
+
+		// アンマウント後は反映しない
+		unmount();
+		window.dispatchEvent(new StorageEvent('storage', { key: 'count', newValue: JSON.stringify({ version: 0, value: 6 }), storageArea: localStorage }));
+		expect(ret.result.value).toBe(0);
+	});
+
+	it('ストレージへの保存の失敗', () => {
+		const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+		const storage = {
+			getItem: () => null,
+			setItem: () => { throw new Error('QuotaExceededError'); }
+		};
+		const { ret } = mountState(ctx => usePersistentState(ctx, 'count', 0, { storage: /** @type { Storage } */ (storage) }));
+		ret.result.value = 1;
+		expect(ret.result.value).toBe(1);
+		expect(warn.mock.calls.map(args => args[0])).toStrictEqual(['Failed to persist state "count".']);
+		warn.mockRestore();
+	});
+});
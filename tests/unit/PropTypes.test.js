@@ -0,0 +1,191 @@
+/** @jest-environment jsdom */
+import { Context, useState, useComputed, propType, setPropValidation, $, t } from "../../src/core.js";
+import { describe, it, expect, jest, beforeEach, afterEach } from '@jest/globals';
+
+describe('プロパティの検証', () => {
+	/** @type { ReturnType<typeof jest.spyOn> } */
+	let warn;
+
+	beforeEach(() => {
+		warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+	});
+
+	afterEach(() => {
+		warn.mockRestore();
+		setPropValidation(true);
+	});
+
+	/**
+	 * 検証対象のコンポーネント
+	 * @param { Context } ctx
+	 * @param { CompPropTypes<typeof Item> } props
+	 */
+	function Item(ctx, props) {
+		return $('div', { textContent: props.label });
+	}
+	Item.propTypes = {
+		label: propType({ type: String, required: true }),
+		size: propType({ type: Number, oneOf: [1, 2, 3], default: 1 }),
+		count: propType({ type: [Number, String], validator: v => v >= 0 || 'count must not be negative.' }),
+		title: 'default'
+	};
+
+	it('不正なプロパティの警告', () => {
+		const ctx = new Context(window);
+		$(Item, { size: 4, count: -1 }).build(ctx);
+		expect(warn.mock.calls.map(args => args[0])).toStrictEqual([
+			'[Item] Invalid prop "label": Missing required prop.',
+			'[Item] Invalid prop "size": Expected one of [1, 2, 3], got 4.',
+			'[Item] Invalid prop "count": count must not be negative.'
+		]);
+
+		warn.mockClear();
+		const { element } = $(Item, { label: 'a', count: '2' }).build(ctx);
+		expect(warn).not.toHaveBeenCalled();
+		expect(element.textContent).toBe('a');
+
+		$(Item, { label: 1 }).build(ctx);
+		expect(warn.mock.calls.map(args => args[0])).toStrictEqual(['[Item] Invalid prop "label": Expected String, got number.']);
+	});
+
+	it('デフォルト値の適用', () => {
+		const ctx = new Context(window);
+		/** @type { unknown[] } */
+		const received = [];
+		/**
+		 * @param { Context } ctx
+		 * @param { CompPropTypes<typeof Item> } props
+		 */
+		function Probe(ctx, props) {
+			received.push(props.size.value, props.title.value);
+			return $('div');
+		}
+		Probe.propTypes = Item.propTypes;
+		$(Probe, { label: 'a' }).build(ctx);
+		expect(received).toStrictEqual([1, 'default']);
+	});
+
+	it('状態変数のプロパティの変更時の再検証', () => {
+		const ctx = new Context(window);
+		const label = useState(ctx, 'a');
+		const { node } = $(Item, { label }).build(ctx);
+		expect(warn).not.toHaveBeenCalled();
+
+		label.value = 0;
+		expect(warn.mock.calls.map(args => args[0])).toStrictEqual(['[Item] Invalid prop "label": Expected String, got number.']);
+
+		// コンポーネントの削除後は検証しない
+		warn.mockClear();
+		node.remove();
+		label.value = 1;
+		expect(warn).not.toHaveBeenCalled();
+	});
+
+	it('検証の無効化', () => {
+		const ctx = new Context(window);
+		setPropValidation(false);
+		const label = useState(ctx, 1);
+		$(Item, { label }).build(ctx);
+		label.value = 2;
+		expect(warn).not.toHaveBeenCalled();
+	});
+});
+
+describe('読み取り専用のプロパティ', () => {
+	/** @type { Record<string, IState<number>> } 子コンポーネントが受け取ったプロパティ */
+	let received = {};
+
+	/**
+	 * プロパティを記録するコンポーネント
+	 * @param { Context } ctx
+	 * @param { CompPropTypes<typeof Counter> } props
+	 */
+	function Counter(ctx, props) {
+		received = props;
+		return $('div', [t`${props.count}:${props.model}`]);
+	}
+	Counter.propTypes = {
+		count: 0,
+		model: propType({ writable: true, default: 0 })
+	};
+
+	afterEach(() => {
+		setPropValidation(true);
+	});
+
+	it('子からの書き込みの禁止', () => {
+		const ctx = new Context(window);
+		const count = useState(ctx, 1);
+		const { element } = $('div', [$(Counter, { count })]).build(ctx);
+		expect(() => received.count.value = 2).toThrow('Cannot assign to read-only prop "count" of Counter.');
+		expect(received.count.value).toBe(1);
+
+		// 親からの変更は伝播する
+		ctx.flushSync(() => count.value = 3);
+		expect(received.count.value).toBe(3);
+		expect(element.textContent).toBe('3:0');
+	});
+
+	it('検証の無効化時は書き込みを無視する', () => {
+		const ctx = new Context(window);
+		setPropValidation(false);
+		const count = useState(ctx, 1);
+		$(Counter, { count }).build(ctx);
+		received.count.value = 2;
+		expect(received.count.value).toBe(1);
+		expect(count.value).toBe(1);
+	});
+
+	it('書き込み可能なプロパティ', () => {
+		const ctx = new Context(window);
+		const model = useState(ctx, 1);
+		$(Counter, { model }).build(ctx);
+		expect(received.model).toBe(model);
+		received.model.value = 5;
+		expect(model.value).toBe(5);
+
+		// 状態変数が渡されなかった場合は子が値を保持する
+		$(Counter, { model: 2 }).build(ctx);
+		received.model.value = 3;
+		expect(received.model.value).toBe(3);
+	});
+
+	it('書き込み可能なプロパティへの書き込めない値の指定', () => {
+		const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+		try {
+			const ctx = new Context(window);
+			const model = useState(ctx, 1);
+			const doubled = useComputed(ctx, () => model.value * 2);
+			$(Counter, { model: doubled }).build(ctx);
+			expect(warn.mock.calls.map(args => args[0])).toStrictEqual(['[Counter] Writable prop "model" received a non-writable value. Writes will not propagate to the parent.']);
+
+			// 書き込みは子の値にのみ反映され、親からの変更は引き続き伝播する
+			received.model.value = 5;
+			expect(model.value).toBe(1);
+			ctx.flushSync(() => model.value = 2);
+			expect(received.model.value).toBe(4);
+
+			// 読み取り専用のプロパティも複製して書き込みは親へ反映しない
+			warn.mockClear();
+			const count = useState(ctx, 1);
+			$(Counter, { count }).build(ctx);
+			const readonly = received.count;
+			$(Counter, { model: readonly }).build(ctx);
+			expect(warn.mock.calls.map(args => args[0])).toStrictEqual(['[Counter] Writable prop "model" received a non-writable value. Writes will not propagate to the parent.']);
+			expect(received.model).not.toBe(readonly);
+			received.model.value = 5;
+			expect(readonly.value).toBe(1);
+			ctx.flushSync(() => count.value = 2);
+			expect(received.model.value).toBe(2);
+
+			// 検証の無効化時は警告しない
+			warn.mockClear();
+			setPropValidation(false);
+			$(Counter, { model: doubled }).build(ctx);
+			expect(warn).not.toHaveBeenCalled();
+		}
+		finally {
+			warn.mockRestore();
+		}
+	});
+});
@@ -0,0 +1,161 @@
+import { StateContext, State, useReactive, isReactive, toRaw, t } from "../../src/core.js";
+import { describe, it, expect } from '@jest/globals';
+
+describe('Reactive', () => {
+	it('初期値の確認', () => {
+		const ctx = new StateContext();
+		const raw = { a: 1, b: { c: 2 }, d: [3, 4] };
+		const reactive = useReactive(ctx, raw);
+
+		// 値の確認
+		expect(reactive.a).toBe(1);
+		expect(reactive.b.c).toBe(2);
+		expect(reactive.d[1]).toBe(4);
+		// リアクティブなオブジェクトであることの確認
+		expect(isReactive(reactive)).toBe(true);
+		expect(isReactive(reactive.b)).toBe(true);
+		expect(isReactive(raw)).toBe(false);
+		// 元のオブジェクトの取得
+		expect(toRaw(reactive)).toBe(raw);
+		expect(toRaw(reactive.b)).toBe(raw.b);
+		// 同一のオブジェクトからは同一のProxyが得られる
+		expect(useReactive(ctx, raw)).toBe(reactive);
+		expect(useReactive(ctx, reactive)).toBe(reactive);
+		expect(reactive.b).toBe(reactive.b);
+
+		// 異なるコンテキストでは別のProxyとして状態変数を共有しない
+		const other = useReactive(new StateContext(), raw);
+		expect(other).not.toBe(reactive);
+		expect(toRaw(other)).toBe(raw);
+		expect(other.b).not.toBe(reactive.b);
+	});
+
+	it('プロパティ単位の更新の検知', () => {
+		const reactiveCall1 = 1;
+		const reactiveCall2 = 2;
+		/** @type { { idx: number; state: number; }[] } 呼び出し順序を記録するシーケンス */
+		const seq = [];
+
+		const ctx = new StateContext();
+		const reactive = useReactive(ctx, { a: 1, b: 2 });
+
+		// aおよびbが変更されたときに呼びだされる関数を設定
+		ctx.call({ caller: () => seq.push({ idx: reactiveCall1, state: reactive.a }) });
+		ctx.call({ caller: () => seq.push({ idx: reactiveCall2, state: reactive.b }) });
+
+		expect(seq).toStrictEqual([
+			{ idx: reactiveCall1, state: 1 },
+			{ idx: reactiveCall2, state: 2 },
+		]);
+
+		// 参照しているプロパティの呼び出し元のみが発火する
+		++reactive.a;
+		expect(seq).toStrictEqual([
+			{ idx: reactiveCall1, state: 1 },
+			{ idx: reactiveCall2, state: 2 },
+			{ idx: reactiveCall1, state: 2 },
+		]);
+
+		// 同一の値の設定では発火しない
+		reactive.b = 2;
+		expect(seq).toStrictEqual([
+			{ idx: reactiveCall1, state: 1 },
+			{ idx: reactiveCall2, state: 2 },
+			{ idx: reactiveCall1, state: 2 },
+		]);
+	});
+
+	it('ネストしたオブジェクトの更新の検知', () => {
+		const reactiveCall = 1;
+		/** @type { { idx: number; state: number; }[] } 呼び出し順序を記録するシーケンス */
+		const seq = [];
+
+		const ctx = new StateContext();
+		const reactive = useReactive(ctx, { a: { b: 1 } });
+
+		ctx.call({ caller: () => seq.push({ idx: reactiveCall, state: reactive.a.b }) });
+
+		++reactive.a.b;
+		expect(seq).toStrictEqual([
+			{ idx: reactiveCall, state: 1 },
+			{ idx: reactiveCall, state: 2 },
+		]);
+
+		// 途中のオブジェクトの置き換えも検知する
+		reactive.a = { b: 10 };
+		expect(seq).toStrictEqual([
+			{ idx: reactiveCall, state: 1 },
+			{ idx: reactiveCall, state: 2 },
+			{ idx: reactiveCall, state: 10 },
+		]);
+	});
+
+	it('配列の更新の検知', () => {
+		const reactiveCall = 1;
+		/** @type { { idx: number; state: string; }[] } 呼び出し順序を記録するシーケンス */
+		const seq = [];
+
+		const ctx = new StateContext();
+		const reactive = useReactive(ctx, [1, 2]);
+
+		ctx.call({ caller: () => seq.push({ idx: reactiveCall, state: reactive.join(',') }) });
+
+		// 破壊的な操作であっても1度のみ検知する
+		reactive.push(3);
+		expect(seq).toStrictEqual([
+			{ idx: reactiveCall, state: '1,2' },
+			{ idx: reactiveCall, state: '1,2,3' },
+		]);
+
+		reactive.length = 1;
+		expect(seq).toStrictEqual([
+			{ idx: reactiveCall, state: '1,2' },
+			{ idx: reactiveCall, state: '1,2,3' },
+			{ idx: reactiveCall, state: '1' },
+		]);
+	});
+
+	it('プロパティの追加と削除の検知', () => {
+		const reactiveCall = 1;
+		/** @type { { idx: number; state: string[]; }[] } 呼び出し順序を記録するシーケンス */
+		const seq = [];
+
+		const ctx = new StateContext();
+		/** @type { Record<string, number> } */
+		const reactive = useReactive(ctx, { a: 1 });
+
+		ctx.call({ caller: () => seq.push({ idx: reactiveCall, state: Object.keys(reactive) }) });
+
+		reactive.b = 2;
+		delete reactive.a;
+		// 既存のプロパティの変更ではキーの列挙は変化しない
+		reactive.b = 3;
+		expect(seq).toStrictEqual([
+			{ idx: reactiveCall, state: ['a'] },
+			{ idx: reactiveCall, state: ['a', 'b'] },
+			{ idx: reactiveCall, state: ['b'] },
+		]);
+	});
+
+	it('テンプレートへの埋め込み', () => {
+		const ctx = new StateContext();
+		const reactive = useReactive(ctx, ['a', 'b']);
+		const text = t`list: ${reactive}`;
+
+		expect(text.value).toBe('list: a,b');
+		reactive.push('c');
+		expect(text.value).toBe('list: a,b,c');
+		reactive[0] = 'x';
+		expect(text.value).toBe('list: x,b,c');
+	});
+
+	it('内部スロットをもつオブジェクトは変換しない', () => {
+		const ctx = new StateContext();
+		const date = new Date();
+		const state = new State(ctx, 0);
+		const reactive = useReactive(ctx, { date, state });
+
+		expect(reactive.date).toBe(date);
+		expect(reactive.state).toBe(state);
+	});
+});
@@ -0,0 +1,79 @@
+/** @jest-environment jsdom */
+import { Context, ManualScheduler, useState, watch, withLane, $, t } from "../../src/core.js";
+import { describe, it, expect } from '@jest/globals';
+
+describe('スケジューラ', () => {
+	it('手動でのタスクの実行', () => {
+		const scheduler = new ManualScheduler();
+		/** @type { string[] } */
+		const log = [];
+		scheduler.setTimeout(() => log.push('timeout20'), 20);
+		scheduler.setTimeout(() => {
+			log.push('timeout10');
+			scheduler.queueMicrotask(() => log.push('microtask2'));
+		}, 10);
+		const id = scheduler.setTimeout(() => log.push('cleared'), 5);
+		scheduler.clearTimeout(id);
+		scheduler.requestAnimationFrame(() => log.push('frame'));
+		scheduler.requestIdleCallback(() => log.push('idle'));
+		scheduler.queueMicrotask(() => log.push('microtask1'));
+		expect(scheduler.pending).toBe(5);
+
+		scheduler.runMicrotasks();
+		expect(log).toStrictEqual(['microtask1']);
+		scheduler.advance(15);
+		expect(scheduler.now).toBe(15);
+		expect(log).toStrictEqual(['microtask1', 'timeout10', 'microtask2']);
+		scheduler.runAll();
+		expect(log).toStrictEqual(['microtask1', 'timeout10', 'microtask2', 'frame', 'idle', 'timeout20']);
+		expect(scheduler.pending).toBe(0);
+	});
+
+	it('自身を再スケジュールし続けるタスクの検出', () => {
+		const scheduler = new ManualScheduler({ maxIterations: 10 });
+		let count = 0;
+		const loop = () => {
+			++count;
+			scheduler.setTimeout(loop, 1);
+		};
+		scheduler.setTimeout(loop, 1);
+		expect(() => scheduler.runAll()).toThrow('Maximum scheduler iterations exceeded (10). A task may be rescheduling itself.');
+		expect(count).toBe(10);
+
+		const microtask = () => scheduler.queueMicrotask(microtask);
+		scheduler.queueMicrotask(microtask);
+		expect(() => scheduler.runMicrotasks()).toThrow('Maximum scheduler iterations exceeded (10).');
+	});
+
+	it('flushSyncによるDOM更新の同期的な処理', () => {
+		const scheduler = new ManualScheduler();
+		const ctx = new Context(window, undefined, undefined, undefined, { scheduler });
+		expect(ctx.scheduler).toBe(scheduler);
+		const state = useState(ctx, 0);
+		/** @type { string[] } */
+		const log = [];
+		watch(ctx, state, () => log.push(`post:${element.textContent}`), { flush: 'post' });
+		const { element } = $('div', { title: withLane(state, 'idle') }, [t`${state}`]).build(ctx);
+
+		// 関数内の変更も含めて処理される
+		const result = ctx.flushSync(() => {
+			++state.value;
+			log.push(`inner:${element.textContent}`);
+			return 'result';
+		});
+		expect(result).toBe('result');
+		expect(element.textContent).toBe('1');
+		expect(element.title).toBe('1');
+		expect(log).toStrictEqual(['inner:0', 'post:1']);
+
+		// スケジュール済みのタスクが実行されても再度処理されない
+		scheduler.runAll();
+		expect(log).toStrictEqual(['inner:0', 'post:1']);
+
+		// 引数なしの場合は蓄積した更新のみを処理する
+		++state.value;
+		expect(element.textContent).toBe('1');
+		ctx.flushSync();
+		expect(element.textContent).toBe('2');
+	});
+});
@@ -0,0 +1,88 @@
+/** @jest-environment jsdom */
+import { Context, useState, $, t } from "../../src/core.js";
+import { describe, it, expect } from '@jest/globals';
+
+describe('Snapshot', () => {
+	/** @type { { value: unknown }[] } 構築した状態変数の記録 */
+	let created = [];
+
+	/**
+	 * 子コンポーネント
+	 * @param { Context } ctx
+	 */
+	function Child(ctx) {
+		const text = useState(ctx, 'client');
+		// 直列化できない値は復元されない
+		const handler = useState(ctx, () => 'client');
+		if (ctx.waitFlag === 'wait') {
+			text.value = 'server';
+			handler.value = () => 'server';
+		}
+		created.push(text, handler);
+		return $('span', [t`${text}`]);
+	}
+
+	/**
+	 * 親コンポーネント
+	 * @param { Context } ctx
+	 */
+	function Parent(ctx) {
+		const cnt = useState(ctx, 0);
+		if (ctx.waitFlag === 'wait') {
+			cnt.value = 42;
+		}
+		created.push(cnt);
+		return $('div', [t`${cnt}`, $(Child), $(Child)]);
+	}
+
+	it('状態変数の直列化と復元', async () => {
+		created = [];
+		const target = document.createElement('div');
+		const serverCtx = await $(Parent).write(target, new Context(window), { snapshot: true });
+
+		// コンポーネントの経路ごとに直列化可能な値のみ記録される
+		expect(serverCtx.serializeStates()).toStrictEqual({
+			'/0': { 0: 42 },
+			'/0/0': { 0: 'server' },
+			'/0/1': { 0: 'server' },
+		});
+		const snapshotElement = target.querySelector(':scope > script.__STATE_SNAPSHOT__');
+		expect(snapshotElement).not.toBe(null);
+		expect(target.textContent).toContain('42');
+
+		// クライアントでのマウント時に復元される
+		created = [];
+		const clientTarget = document.createElement('div');
+		clientTarget.innerHTML = target.innerHTML;
+		$(Parent).mount(clientTarget, new Context(window), { snapshot: true });
+		expect(created.map(state => state.value).slice(0, 2)).toStrictEqual([42, 'server']);
+		expect(created[2].value()).toBe('client');
+		expect(clientTarget.querySelector(':scope > script.__STATE_SNAPSHOT__')).toBe(null);
+		expect(clientTarget.textContent).toBe('42serverserver');
+	});
+
+	it('スナップショットを利用しない場合は初期値から構築する', () => {
+		created = [];
+		const target = document.createElement('div');
+		$(Parent).mount(target, new Context(window));
+		expect(created.map(state => state.value).slice(0, 2)).toStrictEqual([0, 'client']);
+	});
+
+	it('スナップショットを利用しない場合は状態変数を登録しない', () => {
+		const ctx = new Context(window);
+		$(Parent).build(ctx);
+		expect(ctx.componentStates.size).toBe(0);
+		expect(ctx.components.size).toBe(3);
+	});
+
+	it('コンポーネントの削除時の登録の解除', () => {
+		const ctx = new Context(window, undefined, undefined, undefined, { trackStates: true });
+		const { node } = $(Parent).build(ctx);
+		$(Child).build(ctx);
+		expect([...ctx.componentStates.keys()]).toStrictEqual(['/0', '/0/0', '/0/1', '/1']);
+
+		// 削除したコンポーネントとその子孫の状態変数のみ解除される
+		node.remove();
+		expect([...ctx.componentStates.keys()]).toStrictEqual(['/1']);
+	});
+});
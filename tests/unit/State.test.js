@@ -1,5 +1,5 @@
 /** @jest-environment jsdom */
-import { StateContext, State, watch, CommonLabel, Context, StateComponent, NotState } from "../../src/core.js";
+import { StateContext, State, watch, CommonLabel, Context, StateComponent, NotState, useState, useReactive, useComputed, observableSymbol, $, t } from "../../src/core.js";
 import { describe, it, expect } from '@jest/globals';
 
 describe('State', () => {
@@ -671,6 +671,35 @@ describe('State', () => {
 			]);
 		});
 
+		it('関数の観測における依存先の再収集', () => {
+			const ctx = new StateContext();
+			const flag = new State(ctx, false);
+			const state1 = new State(ctx, 1);
+			const state2 = new State(ctx, 2);
+			const dest = new State(ctx, 0);
+			/** @type { number[] } */
+			const referenced = [];
+			state1.onreference = state => referenced.push(state.org);
+			state2.onreference = state => referenced.push(state.org);
+			dest.observe(() => flag.value ? state1.value : state2.value);
+
+			// 再収集で追加された依存先も観測のみによる参照は利用とみなさない
+			flag.value = true;
+			expect(dest.org).toBe(1);
+			expect(state1.utilized).toBe(false);
+			expect(state2.callerCount).toBe(0);
+			expect(state2.utilized).toBe(false);
+
+			// destが参照されると現在の依存先のonreferenceが連鎖的に発火する
+			dest.add({ caller: () => {} });
+			expect(referenced).toStrictEqual([1]);
+
+			// 参照後の再収集で追加された依存先にも連鎖する
+			flag.value = false;
+			expect(dest.org).toBe(2);
+			expect(referenced).toStrictEqual([1, 2]);
+		});
+
 		describe('間接的参照の検知', () => {
 			it('state1→state2・state2→state3の順番で観測の設定', () => {
 				const reactiveNotCall = 0;
@@ -870,4 +899,275 @@ describe('State', () => {
 			expect(state2.org).toBe(0);
 		});
 	});
+
+	describe('同値性の判定', () => {
+		it('既定の判定', () => {
+			const ctx = new StateContext();
+			const state = new State(ctx, NaN);
+			let cnt = 0;
+			ctx.call({ caller: () => { state.value; ++cnt; } });
+
+			// Object.isにより同値であればNaNの設定でも発火しない
+			state.value = NaN;
+			expect(cnt).toBe(1);
+			// 構造的に同値であっても異なるオブジェクトであれば発火する
+			state.value = { a: 1 };
+			state.value = { a: 1 };
+			expect(cnt).toBe(3);
+		});
+
+		it('浅い比較による判定', () => {
+			const ctx = new StateContext();
+			const obj = { a: 1 };
+			const state = useState(ctx, { x: 1, y: obj, z: [1] }, { equals: 'shallow' });
+			let cnt = 0;
+			ctx.call({ caller: () => { state.value; ++cnt; } });
+
+			state.value = { x: 1, y: obj, z: state.value.z };
+			expect(cnt).toBe(1);
+			// 2階層目以降は参照で比較する
+			state.value = { x: 1, y: { a: 1 }, z: state.value.z };
+			expect(cnt).toBe(2);
+			state.value = { x: 1, y: obj };
+			expect(cnt).toBe(3);
+		});
+
+		it('深い比較による判定', () => {
+			const ctx = new StateContext();
+			const state = useState(ctx, { a: [1, { b: 2 }], c: new Date(0), d: new Map([[1, new Set([2])]]) }, { equals: 'deep' });
+			let cnt = 0;
+			ctx.call({ caller: () => { state.value; ++cnt; } });
+
+			state.value = { a: [1, { b: 2 }], c: new Date(0), d: new Map([[1, new Set([2])]]) };
+			expect(cnt).toBe(1);
+			state.value = { a: [1, { b: 3 }], c: new Date(0), d: new Map([[1, new Set([2])]]) };
+			expect(cnt).toBe(2);
+			state.value = { a: [1, { b: 3 }], c: new Date(1), d: new Map([[1, new Set([2])]]) };
+			expect(cnt).toBe(3);
+
+			// 循環参照を含む場合も判定可能
+			const cyclic1 = { a: 1 };
+			cyclic1.self = cyclic1;
+			const cyclic2 = { a: 1 };
+			cyclic2.self = cyclic2;
+			state.value = cyclic1;
+			expect(cnt).toBe(4);
+			state.value = cyclic2;
+			expect(cnt).toBe(4);
+		});
+
+		it('関数による判定', () => {
+			const ctx = new StateContext();
+			const state = useState(ctx, { id: 1, name: 'a' }, { equals: (prev, next) => prev.id === next.id });
+			let cnt = 0;
+			ctx.call({ caller: () => { state.value; ++cnt; } });
+
+			// 同値と判定された場合は値も置き換わらない
+			state.value = { id: 1, name: 'b' };
+			expect(cnt).toBe(1);
+			expect(state.value.name).toBe('a');
+			state.value = { id: 2, name: 'b' };
+			expect(cnt).toBe(2);
+		});
+
+		it('不正な判定方法の指定', () => {
+			const ctx = new StateContext();
+			expect(() => useState(ctx, 0, { equals: 'unknown' })).toThrow();
+		});
+	});
+
+	describe('ウォッチャーのオプション', () => {
+		it('監視の停止', () => {
+			const ctx = new StateContext();
+			const state1 = new State(ctx, 0);
+			const state2 = new State(ctx, 0);
+			let cnt = 0;
+			const handle = watch(ctx, [state1, state2], () => ++cnt);
+
+			++state1.value;
+			++state2.value;
+			expect(cnt).toBe(2);
+
+			// 全ての状態変数から呼び出し元が削除される
+			handle.stop();
+			expect(state1.callerCount).toBe(0);
+			expect(state2.callerCount).toBe(0);
+			++state1.value;
+			++state2.value;
+			expect(cnt).toBe(2);
+		});
+
+		it('即時の呼び出しと1度のみの呼び出し', () => {
+			const ctx = new StateContext();
+			const state = new State(ctx, 1);
+			/** @type { [number | undefined, number][] } */
+			const seq = [];
+			watch(ctx, state, (prev, next) => seq.push([prev, next]), { immediate: true });
+			expect(seq).toStrictEqual([[undefined, 1]]);
+			++state.value;
+			expect(seq).toStrictEqual([[undefined, 1], [1, 2]]);
+
+			let cnt = 0;
+			watch(ctx, state, () => ++cnt, { once: true });
+			++state.value;
+			++state.value;
+			expect(cnt).toBe(1);
+			expect(state.callerCount).toBe(1);
+		});
+
+		it('ネストしたオブジェクトの監視', () => {
+			const ctx = new StateContext();
+			const reactive = useReactive(ctx, { a: { b: [1] } });
+			const state = new State(ctx, reactive);
+			let cnt = 0;
+			let deepCnt = 0;
+			watch(ctx, state, () => ++cnt);
+			watch(ctx, state, () => ++deepCnt, { deep: true });
+
+			reactive.a.b.push(2);
+			expect(cnt).toBe(0);
+			expect(deepCnt).toBe(1);
+
+			// 置き換えられたオブジェクトも監視対象となる
+			const prevA = reactive.a;
+			reactive.a = { b: [] };
+			expect(deepCnt).toBe(2);
+			prevA.b.push(3);
+			expect(deepCnt).toBe(2);
+			reactive.a.b.push(3);
+			expect(deepCnt).toBe(3);
+		});
+
+		it('評価のタイミング', () => {
+			const ctx = new Context(window);
+			const state = new State(ctx.state, 0);
+			const label = new State(ctx.state, '');
+			/** @type { string[] } */
+			const seq = [];
+			const { element } = $('div', [t`${label}`]).build(ctx);
+			watch(ctx, state, () => seq.push(`post:${element.textContent}`), { flush: 'post' });
+			watch(ctx, state, (prev, next) => {
+				seq.push(`pre:${element.textContent}`);
+				// DOM更新の前に評価されるため変更は同一のDOM更新に反映される
+				label.value = `${next}`;
+			}, { flush: 'pre' });
+			watch(ctx, state, () => seq.push(`sync:${element.textContent}`), { flush: 'sync' });
+			// 未指定の場合は副作用として評価される
+			watch(ctx, state, () => seq.push(`default:${element.textContent}`));
+
+			expect(() => watch(ctx, state, () => {}, { flush: 'unknown' })).toThrow();
+
+			return new Promise(resolve => {
+				++state.value;
+				// preとpostはDOM更新に合わせて評価される
+				expect(seq).toStrictEqual(['sync:', 'default:']);
+				queueMicrotask(() => {
+					expect(seq).toStrictEqual(['sync:', 'default:', 'pre:', 'post:1']);
+					expect(element.textContent).toBe('1');
+					resolve();
+				});
+			});
+		});
+
+		it('構築中のDOM更新の前の評価の抑止', () => {
+			const ctx = new Context(window);
+			const state = new State(ctx.state, 0);
+			/** @type { number[] } */
+			const seq = [];
+			/**
+			 * @param { Context } ctx
+			 */
+			function Component(ctx) {
+				watch(ctx, state, (prev, next) => seq.push(next), { flush: 'pre' });
+				// 構築中の変更による副作用は構築の完了まで遅延する
+				ctx.flushSync(() => ++state.value);
+				expect(seq).toStrictEqual([]);
+				return $('div');
+			}
+			$(Component).build(ctx);
+			expect(seq).toStrictEqual([1]);
+		});
+	});
+
+	describe('外部からの購読', () => {
+		it('subscribeによる購読', () => {
+			const ctx = new StateContext();
+			const state = new State(ctx, 1);
+			const computed = useComputed(ctx, () => state.value * 2, { lazy: true });
+			/** @type { [unknown, unknown][] } */
+			const log = [];
+			const unsubscribe1 = state.subscribe((prev, next) => log.push([prev, next]));
+			const unsubscribe2 = computed.subscribe((prev, next) => log.push([prev, next]));
+
+			state.value = 2;
+			expect(log).toStrictEqual([[1, 2], [2, 4]]);
+
+			unsubscribe1();
+			unsubscribe2();
+			expect(state.callerCount).toBe(1);
+			state.value = 3;
+			expect(log).toStrictEqual([[1, 2], [2, 4]]);
+		});
+
+		it('ラベルによる評価のタイミングの制御', () => {
+			const ctx = new StateContext();
+			const state = new State(ctx, 1);
+			/** @type { (() => unknown)[] } */
+			const tasks = [];
+			const label = { update: caller => tasks.push(caller), proc() {} };
+			/** @type { [unknown, unknown][] } */
+			const log = [];
+			state.subscribe((prev, next) => log.push([prev, next]), label);
+
+			state.value = 2;
+			state.value = 3;
+			expect(log).toStrictEqual([]);
+			tasks.splice(0).forEach(task => task());
+			expect(log).toStrictEqual([[1, 3]]);
+
+			// 元の値へ戻された場合は通知されない
+			state.value = 4;
+			state.value = 3;
+			tasks.splice(0).forEach(task => task());
+			expect(log).toStrictEqual([[1, 3]]);
+		});
+
+		it('非同期イテレータによる列挙', async () => {
+			const ctx = new StateContext();
+			const state = new State(ctx, 1);
+			/** @type { number[] } */
+			const values = [];
+			const task = (async () => {
+				for await (const value of state) {
+					values.push(value);
+					if (value === 3) {
+						break;
+					}
+				}
+			})();
+			await Promise.resolve();
+			state.value = 2;
+			state.value = 3;
+			await task;
+			expect(values).toStrictEqual([1, 2, 3]);
+			// 中断により購読が解除される
+			expect(state.callerCount).toBe(0);
+		});
+
+		it('Observableとの相互運用', () => {
+			const ctx = new StateContext();
+			const state = new State(ctx, 1);
+			const computed = useComputed(ctx, () => state.value + 1);
+			const observable = computed[observableSymbol]();
+			expect(observable[observableSymbol]()).toBe(observable);
+
+			/** @type { number[] } */
+			const values = [];
+			const subscription = observable.subscribe({ next: value => values.push(value) });
+			state.value = 2;
+			subscription.unsubscribe();
+			state.value = 3;
+			expect(values).toStrictEqual([2, 3]);
+		});
+	});
 });
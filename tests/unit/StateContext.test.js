@@ -1,6 +1,6 @@
 /** @jest-environment jsdom */
-import { StateContext, State, Context, NotState } from "../../src/core.js";
-import { describe, it, expect } from '@jest/globals';
+import { StateContext, State, Computed, Context, NotState, watch } from "../../src/core.js";
+import { describe, it, expect, jest } from '@jest/globals';
 
 describe('StateContext', () => {
 	describe('単一コンテキストにおける単一の状態変数', () => {
@@ -642,6 +642,127 @@ describe('StateContext', () => {
 		});
 	});
 
+	describe('バッチ', () => {
+		it('ラベルなしの呼び出し元の集約', () => {
+			const reactiveCall = 1;
+			/** @type { { idx: number; state: number; }[] } 呼び出し順序を記録するシーケンス */
+			const seq = [];
+
+			const ctx = new StateContext();
+			const state1 = new State(ctx, 1);
+			const state2 = new State(ctx, 2);
+			let computedCnt = 0;
+			const computed = new Computed(ctx, () => {
+				++computedCnt;
+				return state1.value + state2.value;
+			});
+			expect(computedCnt).toBe(1);
+
+			// 初回およびstate1とstate2が変更されたときに呼びだされる関数を設定
+			ctx.call({
+				caller: () => {
+					seq.push({ idx: reactiveCall, state: state1.value + state2.value });
+				}
+			});
+			expect(seq).toStrictEqual([
+				{ idx: reactiveCall, state: 3 },
+			]);
+
+			// batch内の更新はbatchの終了まで遅延される
+			const ret = ctx.batch(() => {
+				++state1.value;
+				++state2.value;
+				++state1.value;
+				expect(seq).toStrictEqual([
+					{ idx: reactiveCall, state: 3 },
+				]);
+				expect(computedCnt).toBe(1);
+				return 'ret';
+			});
+
+			// callbackの戻り値がそのまま返る
+			expect(ret).toBe('ret');
+			// 各呼び出し元は1度のみ評価される
+			expect(computedCnt).toBe(2);
+			expect(computed.value).toBe(6);
+			expect(seq).toStrictEqual([
+				{ idx: reactiveCall, state: 3 },
+				{ idx: reactiveCall, state: 6 },
+			]);
+
+			// batch後は通常通り即時評価される
+			++state1.value;
+			expect(computedCnt).toBe(3);
+			expect(seq).toStrictEqual([
+				{ idx: reactiveCall, state: 3 },
+				{ idx: reactiveCall, state: 6 },
+				{ idx: reactiveCall, state: 7 },
+			]);
+		});
+
+		it('batchのネスト', () => {
+			const reactiveCall = 1;
+			/** @type { { idx: number; state: number; }[] } 呼び出し順序を記録するシーケンス */
+			const seq = [];
+
+			const ctx = new Context(window);
+			const state = new State(ctx.state, 0);
+			state.add({
+				caller: () => {
+					seq.push({ idx: reactiveCall, state: state.org });
+				},
+				label: ctx.sideEffectLabel
+			});
+
+			ctx.batch(() => {
+				++state.value;
+				ctx.batch(() => {
+					++state.value;
+				});
+				// 内側のbatchの終了時点では評価されない
+				expect(seq).toStrictEqual([]);
+				expect(ctx.state.locked(ctx.sideEffectLabel)).toBe(true);
+				++state.value;
+			});
+
+			expect(ctx.state.locked(ctx.sideEffectLabel)).toBe(false);
+			expect(seq).toStrictEqual([
+				{ idx: reactiveCall, state: 3 },
+			]);
+		});
+
+		it('ロック中におけるbatch', () => {
+			const reactiveCall = 1;
+			/** @type { { idx: number; state: number; }[] } 呼び出し順序を記録するシーケンス */
+			const seq = [];
+
+			const ctx = new Context(window);
+			const state = new State(ctx.state, 0);
+			state.add({
+				caller: () => {
+					seq.push({ idx: reactiveCall, state: state.org });
+				},
+				label: ctx.sideEffectLabel
+			});
+
+			ctx.state.lock([ctx.sideEffectLabel]);
+			ctx.batch(() => {
+				++state.value;
+				++state.value;
+			});
+
+			// batch以前からかかっていたロックは解除されない
+			expect(ctx.state.locked(ctx.sideEffectLabel)).toBe(true);
+			expect(ctx.state.lockedCount(ctx.sideEffectLabel)).toBe(1);
+			expect(seq).toStrictEqual([]);
+
+			ctx.state.unlock([ctx.sideEffectLabel])();
+			expect(seq).toStrictEqual([
+				{ idx: reactiveCall, state: 2 },
+			]);
+		});
+	});
+
 	// describe('複数コンテキストにおける複数の状態変数', () => {
 
 	// });
@@ -816,6 +937,57 @@ describe('StateContext', () => {
 			expect(state2.org).toBe(state1.org);
 		});
 
+		it('関数→状態変数の単方向関連付けにおける依存関係の再収集', () => {
+			const ctx = new StateContext();
+			const flag = new State(ctx, true);
+			const state1 = new State(ctx, 100);
+			const state2 = new State(ctx, 200);
+			const state3 = new State(ctx, 0);
+			let cnt = 0;
+
+			// ctx上で単方向関連付けされたデータの作成
+			const caller = ctx.unidirectional(() => {
+				++cnt;
+				return flag.value ? state1.value : state2.value;
+			}, state3);
+
+			// 参照された状態変数のみが収集されていることの確認
+			expect(caller.states).toStrictEqual([flag, state1]);
+			expect(state3.org).toBe(100);
+			expect(cnt).toBe(1);
+
+			// state2の更新時には評価されないことの確認
+			++state2.value;
+			expect(cnt).toBe(1);
+			expect(state3.org).toBe(100);
+
+			// flagの切り替えにより依存関係が再収集されることの確認
+			flag.value = false;
+			expect(cnt).toBe(2);
+			expect(state3.org).toBe(201);
+			expect(caller.states).toStrictEqual([flag, state2]);
+
+			// 参照されなくなったstate1の更新時には評価されないことの確認
+			++state1.value;
+			expect(cnt).toBe(2);
+			expect(state3.org).toBe(201);
+
+			// 新たに参照したstate2の更新時に評価されることの確認
+			++state2.value;
+			expect(cnt).toBe(3);
+			expect(state3.org).toBe(202);
+
+			// 単方向関連付けの削除をすると全ての状態変数について同期されないことの確認
+			caller.states.forEach(state => state.delete(caller.caller));
+			expect(flag.callerCount).toBe(0);
+			expect(state1.callerCount).toBe(0);
+			expect(state2.callerCount).toBe(0);
+			flag.value = true;
+			++state2.value;
+			expect(cnt).toBe(3);
+			expect(state3.org).toBe(202);
+		});
+
 		it('NotStateの単方向関連付け', () => {
 			const ctx = new StateContext();
 			const state1 = new NotState(100);
@@ -835,4 +1007,147 @@ describe('StateContext', () => {
 			expect(state2.org).toBe(state1.value + 1);
 		});
 	});
+
+	describe('循環の検出', () => {
+		it('伝播の深さの上限', () => {
+			const ctx = new StateContext({ maxDepth: 10 });
+			const state1 = new State(ctx, 0);
+			const state2 = new State(ctx, 0);
+			ctx.unidirectional(() => state1.value + 1, state2);
+
+			// 値が収束しない循環は深さの上限で打ち切られる
+			expect(() => ctx.unidirectional(() => state2.value, state1)).toThrow('Maximum propagation depth exceeded (10).');
+		});
+
+		it('コンポーネントのコンテキストのオプションによる指定', () => {
+			const ctx = new Context(window, undefined, undefined, undefined, { state: { maxDepth: 5 } });
+			const state1 = new State(ctx.state, 0);
+			const state2 = new State(ctx.state, 0);
+			ctx.state.unidirectional(() => state1.value + 1, state2);
+			expect(() => ctx.state.unidirectional(() => state2.value, state1)).toThrow('Maximum propagation depth exceeded (5).');
+
+			// 子コンポーネントのコンテキストにも引き継がれる
+			const cycleCtx = new Context(window, undefined, undefined, undefined, { state: { cycle: 'throw' } });
+			const childCtx = cycleCtx.generateContextForComponent(() => undefined);
+			const state3 = new State(childCtx.state, 0);
+			const state4 = new State(childCtx.state, 0);
+			childCtx.state.unidirectional(() => state3.value + 1, state4);
+			expect(() => childCtx.state.unidirectional(() => state4.value, state3)).toThrow('Circular dependency detected');
+		});
+
+		it('循環の検出による例外の送出', () => {
+			const ctx = new StateContext({ cycle: 'throw' });
+			const state1 = new State(ctx, 0);
+			const state2 = new State(ctx, 0);
+			const { caller: caller1 } = ctx.unidirectional(() => state1.value + 1, state2);
+
+			/** @type { Error | undefined } */
+			let error = undefined;
+			try {
+				ctx.unidirectional(() => state2.value, state1);
+			}
+			catch (e) {
+				error = e;
+			}
+			// 循環に関与する呼び出し元の種類を経路の順に示す
+			expect(error?.message).toBe('Circular dependency detected: unidirectional -> unidirectional -> unidirectional');
+			// 循環に関与する呼び出し元と状態変数の経路
+			expect(error.cause.map(({ state }) => state)).toStrictEqual([state1, state2]);
+			expect(error.cause[1].caller).toBe(caller1);
+		});
+
+		it('循環の経路の表示', () => {
+			const ctx = new StateContext({ cycle: 'throw' });
+			const state = new State(ctx, 1);
+			const computed = new Computed(ctx, () => state.value + 1);
+			watch(ctx, computed, (prev, next) => state.value = next);
+			expect(() => state.value = 2).toThrow('Circular dependency detected: computed -> watch -> computed');
+		});
+
+		it('循環の検出による警告', () => {
+			const warn = jest.spyOn(console, 'warn').mockImplementation(() => {});
+			try {
+				const ctx = new StateContext({ cycle: 'warn' });
+				const state1 = new State(ctx, 0);
+				const state2 = new State(ctx, 0);
+				ctx.unidirectional(() => state1.value + 1, state2);
+				ctx.unidirectional(() => state2.value, state1);
+
+				// 循環は断ち切られて伝播が停止する
+				expect(warn).toHaveBeenCalledTimes(1);
+				expect(warn.mock.calls[0][0]).toBe('Circular dependency detected: unidirectional -> unidirectional -> unidirectional');
+				expect(state1.value).toBe(1);
+				expect(state2.value).toBe(2);
+			}
+			finally {
+				warn.mockRestore();
+			}
+		});
+
+		it('循環のない合流は検出しない', () => {
+			const ctx = new StateContext({ cycle: 'throw' });
+			const state = new State(ctx, 1);
+			const computed1 = new Computed(ctx, () => state.value + 1);
+			const computed2 = new Computed(ctx, () => state.value * 2);
+			const computed3 = new Computed(ctx, () => computed1.value + computed2.value);
+
+			state.value = 2;
+			expect(computed3.value).toBe(7);
+		});
+	});
+
+	describe('伝播中の例外と入れ子の更新', () => {
+		it('例外を送出した呼び出し元と無関係の呼び出し元の評価', () => {
+			const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+			try {
+				const ctx = new StateContext();
+				const state = new State(ctx, 0);
+				/** @type { number[] } */
+				const called = [];
+				ctx.call({ caller: () => {
+					if (state.value === 1) {
+						throw new Error('failed1');
+					}
+				} });
+				ctx.call({ caller: () => called.push(state.value) });
+				ctx.call({ caller: () => {
+					if (state.value === 1) {
+						throw new Error('failed2');
+					}
+				} });
+
+				// 全ての呼び出し元を評価してから最初の例外を送出する
+				expect(() => state.value = 1).toThrow('failed1');
+				expect(called).toStrictEqual([0, 1]);
+				expect(errorSpy).toHaveBeenCalledTimes(1);
+
+				// 以降の伝播にも影響しない
+				state.value = 2;
+				expect(called).toStrictEqual([0, 1, 2]);
+			}
+			finally {
+				errorSpy.mockRestore();
+			}
+		});
+
+		it('評価中の更新は算出プロパティの参照時に先行して伝播する', () => {
+			const ctx = new StateContext();
+			const trigger = new State(ctx, 0);
+			const source = new State(ctx, 0);
+			const derived = new Computed(ctx, () => source.value * 2);
+			/** @type { number[] } */
+			const seen = [];
+			ctx.call({ caller: () => {
+				if (trigger.value > 0) {
+					source.value = trigger.value;
+					// 同じ評価内でも算出される値は変更後となる
+					seen.push(derived.value);
+				}
+			} });
+
+			trigger.value = 1;
+			expect(seen).toStrictEqual([2]);
+			expect(derived.value).toBe(2);
+		});
+	});
 });
@@ -0,0 +1,58 @@
+/** @jest-environment jsdom */
+import { Context, Computed, useState, useComputed } from "../../src/core.js";
+import { defineStore } from "../../sample/lib/defineStore.js";
+import { describe, it, expect } from '@jest/globals';
+
+describe('defineStore', () => {
+	const useCounter = defineStore('counter', ctx => {
+		const count = useState(ctx, 1);
+		const name = useState(ctx, 'a');
+		const doubled = useComputed(ctx, () => count.value * 2);
+		return { count, name, doubled, increment: () => ++count.value };
+	});
+
+	it('ルートのコンテキストごとのストアの共有', () => {
+		const ctx = new Context(window);
+		const store = useCounter(ctx);
+		expect(store.$id).toBe('counter');
+		expect(useCounter(ctx.generateContextForComponent(() => undefined))).toBe(store);
+		expect(useCounter(new Context(window))).not.toBe(store);
+
+		store.increment();
+		expect(store.count.value).toBe(2);
+		expect(store.doubled.value).toBe(4);
+	});
+
+	it('初期値への復元', () => {
+		const ctx = new Context(window);
+		const store = useCounter(ctx);
+		store.count.value = 5;
+		store.name.value = 'b';
+		/** @type { unknown[] } */
+		const mutations = [];
+		const unsubscribe = store.$subscribe(({ key, prev, next }) => mutations.push([key, prev, next]));
+		store.$reset();
+		ctx.flushSync();
+		expect(store.count.value).toBe(1);
+		expect(store.name.value).toBe('a');
+		expect(mutations).toStrictEqual([['count', 5, 1], ['name', 'b', 'a'], ['doubled', 10, 2]]);
+
+		// 購読の解除後は通知されない
+		unsubscribe();
+		store.increment();
+		ctx.flushSync();
+		expect(mutations.length).toBe(3);
+	});
+
+	it('算出プロパティ内での生成は依存関係として記録されない', () => {
+		const ctx = new Context(window);
+		let count = 0;
+		const computed = new Computed(ctx.state, () => {
+			++count;
+			return useCounter(ctx).$id;
+		});
+		expect(computed.value).toBe('counter');
+		useCounter(ctx).count.value = 3;
+		expect(count).toBe(1);
+	});
+});